@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import {MockERC20} from "./MockERC20.sol";
+import {IDAIPermit} from "../interfaces/IDAIPermit.sol";
+
+/// @notice Token with DAI's permit: signs a nonce and an allowed flag instead of an amount
+contract MockDAIPermitERC20 is MockERC20, IDAIPermit {
+    bytes32 public constant DAI_PERMIT_TYPEHASH =
+        keccak256("Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)");
+
+    constructor(string memory name, string memory symbol) MockERC20(name, symbol) {}
+
+    function permit(
+        address holder,
+        address spender,
+        uint256 nonce,
+        uint256 expiry,
+        bool allowed,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(expiry == 0 || block.timestamp <= expiry, "PERMIT_DEADLINE_EXPIRED");
+        require(nonce == nonces[holder]++, "INVALID_NONCE");
+
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR(),
+                keccak256(abi.encode(DAI_PERMIT_TYPEHASH, holder, spender, nonce, expiry, allowed))
+            )
+        );
+
+        address recoveredAddress = ecrecover(digest, v, r, s);
+        require(recoveredAddress != address(0) && recoveredAddress == holder, "INVALID_SIGNER");
+
+        uint256 amount = allowed ? type(uint256).max : 0;
+        allowance[holder][spender] = amount;
+
+        emit Approval(holder, spender, amount);
+    }
+}
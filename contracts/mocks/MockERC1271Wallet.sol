@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import {ERC20} from "solmate/src/tokens/ERC20.sol";
+import {IERC1271} from "../interfaces/IERC1271.sol";
+
+/// @notice Minimal smart wallet that accepts 65-byte signatures from its owner key through ERC-1271
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4) {
+        if (signature.length != 65) return 0xffffffff;
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+
+        address signer = ecrecover(hash, v, r, s);
+        return signer != address(0) && signer == owner ? IERC1271.isValidSignature.selector : bytes4(0xffffffff);
+    }
+
+    function approve(ERC20 token, address spender, uint256 amount) external {
+        require(msg.sender == owner, "NOT_OWNER");
+        token.approve(spender, amount);
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import {MockERC20} from "./MockERC20.sol";
+
+/// @notice Token without a usable EIP-2612 permit: DOMAIN_SEPARATOR returns 0, so Permit2Lib falls back to Permit2
+contract MockNonPermitERC20 is MockERC20 {
+    constructor(string memory name, string memory symbol) MockERC20(name, symbol) {}
+
+    function DOMAIN_SEPARATOR() public pure override returns (bytes32) {
+        return 0;
+    }
+}
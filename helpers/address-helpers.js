@@ -0,0 +1,130 @@
+/**
+ * Address Helper Functions for Permit2 on Tron
+ *
+ * Tron addresses are 21 bytes: a 0x41 network prefix followed by the same
+ * 20 bytes an EVM address has. These helper functions accept every format the
+ * helpers are given and convert between them:
+ * - base58:  T...                        (34 characters, with checksum)
+ * - hex:     41 + 40 hex characters      (TronWeb's hex format)
+ * - 0x41:    0x41 + 40 hex characters    (hex with a 0x prefix)
+ * - evm:     0x + 40 hex characters      (20 bytes, as recovered from a signature)
+ *
+ * Permit2 and TIP-712 encode addresses as uint160, i.e. the 20 bytes without the
+ * 41 prefix, so an address hashes the same whichever format it was given in.
+ */
+
+const { TronWeb } = require('tronweb');
+
+// Address formats returned by getAddressFormat
+const ADDRESS_FORMATS = {
+  BASE58: 'base58',
+  HEX: 'hex',
+  HEX_0X41: '0x41',
+  EVM: 'evm'
+};
+
+/**
+ * Detects the format of an address
+ * @param {*} address - Value to check
+ * @returns {string|null} One of ADDRESS_FORMATS, or null if the value is not an address
+ */
+function getAddressFormat(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+  // Length tells 0x41 + 20 bytes (21-byte Tron hex) apart from 0x + 20 bytes (EVM)
+  if (/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return ADDRESS_FORMATS.EVM;
+  }
+  if (/^0x41[0-9a-fA-F]{40}$/.test(address)) {
+    return ADDRESS_FORMATS.HEX_0X41;
+  }
+  if (/^41[0-9a-fA-F]{40}$/.test(address)) {
+    return ADDRESS_FORMATS.HEX;
+  }
+  if (address.length === 34 && address.startsWith('T') && TronWeb.isAddress(address)) {
+    return ADDRESS_FORMATS.BASE58;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a value is an address in any supported format
+ * @param {*} address - Value to check
+ * @returns {boolean} True if the value is a base58, 41-hex, 0x41-hex or EVM address
+ */
+function isAddress(address) {
+  return getAddressFormat(address) !== null;
+}
+
+/**
+ * Converts an address to Tron hex
+ * @param {string} address - Address in any supported format
+ * @returns {string} Lowercase 41-prefixed hex (42 characters)
+ * @throws {Error} If the value is not an address
+ */
+function toTronHex(address) {
+  switch (getAddressFormat(address)) {
+    case ADDRESS_FORMATS.EVM:
+      return '41' + address.slice(2).toLowerCase();
+    case ADDRESS_FORMATS.HEX_0X41:
+      return address.slice(2).toLowerCase();
+    case ADDRESS_FORMATS.HEX:
+      return address.toLowerCase();
+    case ADDRESS_FORMATS.BASE58:
+      return TronWeb.address.toHex(address).toLowerCase();
+    default:
+      throw new Error(`Invalid address: ${JSON.stringify(address)}`);
+  }
+}
+
+/**
+ * Converts an address to an EVM address (the 20 bytes without the 41 prefix)
+ * @param {string} address - Address in any supported format
+ * @returns {string} Lowercase 0x-prefixed hex (42 characters)
+ * @throws {Error} If the value is not an address
+ */
+function toEvmAddress(address) {
+  return '0x' + toTronHex(address).slice(2);
+}
+
+/**
+ * Converts an address to base58
+ * @param {string} address - Address in any supported format
+ * @returns {string} Base58 address
+ * @throws {Error} If the value is not an address
+ */
+function toBase58(address) {
+  return TronWeb.address.fromHex(toTronHex(address));
+}
+
+/**
+ * Converts an address to the uint160 Permit2 and TIP-712 encode it as
+ * @param {string} address - Address in any supported format
+ * @returns {string} Decimal string
+ * @throws {Error} If the value is not an address
+ */
+function toUint160(address) {
+  return BigInt(toEvmAddress(address)).toString();
+}
+
+/**
+ * Checks whether two addresses are the same account, whatever their formats
+ * @param {string} a - Address in any supported format
+ * @param {string} b - Address in any supported format
+ * @returns {boolean} True if both are addresses of the same account
+ */
+function isSameAddress(a, b) {
+  return isAddress(a) && isAddress(b) && toTronHex(a) === toTronHex(b);
+}
+
+module.exports = {
+  ADDRESS_FORMATS,
+  getAddressFormat,
+  isAddress,
+  toTronHex,
+  toEvmAddress,
+  toBase58,
+  toUint160,
+  isSameAddress
+};
@@ -0,0 +1,200 @@
+/**
+ * Allowance Client for Permit2 AllowanceTransfer on Tron
+ *
+ * Reads and decodes allowance(owner, token, spender), reports expiry, builds the
+ * next PermitSingle/PermitBatch with the current ordered nonce and wraps
+ * invalidateNonces for revoking pending permits.
+ */
+
+const addressHelpers = require('./address-helpers');
+const permitHelpers = require('./permit-helpers');
+const errors = require('./errors');
+
+const MAX_UINT160 = (BigInt(1) << BigInt(160)) - BigInt(1);
+const MAX_UINT48 = (BigInt(1) << BigInt(48)) - BigInt(1);
+// AllowanceTransfer.invalidateNonces rejects jumps larger than type(uint16).max
+const MAX_NONCE_INVALIDATION = 65535;
+
+/**
+ * Mimics Allowance.pack: (nonce << 208) | (expiration << 160) | amount
+ * @param {number|string|bigint} amount - Allowance amount (uint160)
+ * @param {number|string|bigint} expiration - Expiration timestamp (uint48)
+ * @param {number|string|bigint} nonce - Allowance nonce (uint48)
+ * @returns {string} Packed allowance word as a decimal string
+ */
+function packAllowance(amount, expiration, nonce) {
+  return ((BigInt(nonce) << BigInt(208)) | (BigInt(expiration) << BigInt(160)) | BigInt(amount)).toString();
+}
+
+/**
+ * Decodes a packed allowance word (the PackedAllowance storage slot)
+ * @param {number|string|bigint} word - Packed allowance word
+ * @returns {Object} Object containing amount (string), expiration (number) and nonce (number)
+ */
+function unpackAllowance(word) {
+  const packed = BigInt(word);
+  return {
+    amount: (packed & MAX_UINT160).toString(),
+    expiration: Number((packed >> BigInt(160)) & MAX_UINT48),
+    nonce: Number((packed >> BigInt(208)) & MAX_UINT48)
+  };
+}
+
+/**
+ * Normalizes the TronWeb result of allowance(owner, token, spender)
+ * @param {Object|Array} result - Call result (named outputs or positional array)
+ * @returns {Object} Object containing amount (string), expiration (number) and nonce (number)
+ */
+function decodeAllowanceResult(result) {
+  const amount = result.amount !== undefined ? result.amount : result[0];
+  const expiration = result.expiration !== undefined ? result.expiration : result[1];
+  const nonce = result.nonce !== undefined ? result.nonce : result[2];
+
+  return {
+    amount: BigInt(amount.toString()).toString(),
+    expiration: Number(expiration.toString()),
+    nonce: Number(nonce.toString())
+  };
+}
+
+/**
+ * Checks whether an allowance has expired (AllowanceTransfer reverts when block.timestamp > expiration)
+ * @param {Object} allowance - Decoded allowance
+ * @param {number} now - Current unix timestamp in seconds (defaults to the local clock)
+ * @returns {boolean} True if the allowance can no longer be spent
+ */
+function isAllowanceExpired(allowance, now = Math.floor(Date.now() / 1000)) {
+  return now > allowance.expiration;
+}
+
+class AllowanceClient {
+  /**
+   * @param {Object} permit2 - TronWeb contract instance of Permit2 (signer is msg.sender for sends)
+   */
+  constructor(permit2) {
+    this.permit2 = permit2;
+  }
+
+  /**
+   * Fetches and decodes an allowance
+   * @param {string} owner - Token owner address
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {number} now - Current unix timestamp in seconds (defaults to the local clock)
+   * @returns {Promise<Object>} Object containing amount, expiration, nonce and expired
+   */
+  async getAllowance(owner, token, spender, now) {
+    const result = await this.permit2.allowance(
+      addressHelpers.toTronHex(owner),
+      addressHelpers.toTronHex(token),
+      addressHelpers.toTronHex(spender)
+    ).call();
+    const allowance = decodeAllowanceResult(result);
+
+    return {
+      ...allowance,
+      expired: isAllowanceExpired(allowance, now)
+    };
+  }
+
+  /**
+   * Reads the nonce the next permit for owner/token/spender must be signed with
+   * @param {string} owner - Token owner address
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @returns {Promise<number>} Current allowance nonce
+   */
+  async getNonce(owner, token, spender) {
+    const { nonce } = await this.getAllowance(owner, token, spender);
+    return nonce;
+  }
+
+  /**
+   * Builds the next PermitSingle for owner with the current on-chain nonce
+   * @param {string} owner - Token owner address
+   * @param {string} token - Token address
+   * @param {string|number} amount - Allowance amount (uint160)
+   * @param {number} expiration - Unix timestamp when the allowance expires (uint48)
+   * @param {string} spender - Address that will be granted the allowance
+   * @param {number} sigDeadline - Unix timestamp when the signature expires
+   * @returns {Promise<Object>} PermitSingle object
+   */
+  async buildPermitSingle(owner, token, amount, expiration, spender, sigDeadline) {
+    const nonce = await this.getNonce(owner, token, spender);
+    return permitHelpers.createPermitSingle(token, amount, expiration, nonce, spender, sigDeadline);
+  }
+
+  /**
+   * Builds the next PermitBatch for owner with the current on-chain nonce of every token
+   * @param {string} owner - Token owner address
+   * @param {Array<Object>} entries - Array of { token, amount, expiration }
+   * @param {string} spender - Address that will be granted the allowances
+   * @param {number} sigDeadline - Unix timestamp when the signature expires
+   * @returns {Promise<Object>} PermitBatch object
+   */
+  async buildPermitBatch(owner, entries, spender, sigDeadline) {
+    const details = [];
+    for (const { token, amount, expiration } of entries) {
+      const nonce = await this.getNonce(owner, token, spender);
+      details.push(permitHelpers.createPermitDetails(token, amount, expiration, nonce));
+    }
+    return permitHelpers.createPermitBatch(details, spender, sigDeadline);
+  }
+
+  /**
+   * Sends invalidateNonces from the contract's signer
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {number} newNonce - New nonce, must be greater than the current one
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   * @throws {Permit2Error} If the transaction reverts (e.g. InvalidNonceError, ExcessiveInvalidationError)
+   */
+  async invalidateNonces(token, spender, newNonce, sendOptions = {}) {
+    try {
+      return await this.permit2.invalidateNonces(
+        addressHelpers.toTronHex(token),
+        addressHelpers.toTronHex(spender),
+        newNonce
+      ).send(sendOptions);
+    } catch (error) {
+      errors.rethrowPermit2Error(this.permit2.tronWeb, error);
+    }
+  }
+
+  /**
+   * Revokes pending (signed but unused) permits by moving the nonce past them
+   * @param {string} owner - Token owner address (must be the contract's signer)
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {number} count - Number of pending nonces to skip (default 1)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<Object>} Object containing oldNonce, newNonce and the send result
+   * @throws {ExcessiveInvalidationError} If count would exceed the ExcessiveInvalidation limit
+   */
+  async revokePendingPermits(owner, token, spender, count = 1, sendOptions = {}) {
+    if (count < 1 || count > MAX_NONCE_INVALIDATION) {
+      throw new errors.ExcessiveInvalidationError(
+        `Excessive invalidation: count must be between 1 and ${MAX_NONCE_INVALIDATION}`,
+        { errorName: 'ExcessiveInvalidation' }
+      );
+    }
+
+    const oldNonce = await this.getNonce(owner, token, spender);
+    const newNonce = oldNonce + count;
+    const result = await this.invalidateNonces(token, spender, newNonce, sendOptions);
+
+    return { oldNonce, newNonce, result };
+  }
+}
+
+module.exports = {
+  AllowanceClient,
+  MAX_UINT160,
+  MAX_UINT48,
+  MAX_NONCE_INVALIDATION,
+  packAllowance,
+  unpackAllowance,
+  decodeAllowanceResult,
+  isAllowanceExpired
+};
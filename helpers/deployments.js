@@ -0,0 +1,65 @@
+/**
+ * Permit2 Deployment Records
+ *
+ * scripts/deploy.js records what it deploys in deployments/<network>.json.
+ * This module reads those records; they take precedence over the addresses in
+ * networks.js. It needs the filesystem, so it is exported from the Node
+ * entrypoint (node.js) only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const networks = require('./networks');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+/**
+ * Returns the path of a network's deployment record
+ * @param {string} name - Network name
+ * @param {string} dir - Deployments directory (defaults to deployments/ in this package)
+ * @returns {string} Path to <dir>/<network>.json
+ */
+function getDeploymentPath(name, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${networks.getNetwork(name).name}.json`);
+}
+
+/**
+ * Reads the deployment record scripts/deploy.js wrote for a network
+ * @param {string} name - Network name
+ * @param {string} dir - Deployments directory (defaults to deployments/ in this package)
+ * @returns {Object|null} Record with network, chainId and contracts (name to address, txId, block,
+ *   deployer, bytecodeHash, compiler and deployedAt), or null if nothing was recorded
+ */
+function getDeployment(name, dir = DEPLOYMENTS_DIR) {
+  const file = getDeploymentPath(name, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Returns the Permit2 address deployed on a network, preferring the recorded deployment
+ *
+ * The record is not checked against the chain: deployments/local.json outlives the
+ * TRE node it was written for, so check for code at the address before using it.
+ * @param {string} name - Network name
+ * @param {string} dir - Deployments directory (defaults to deployments/ in this package)
+ * @returns {string} Base58 Permit2 address
+ * @throws {Error} If the network is unknown or has no known deployment (local without a record)
+ */
+function getPermit2Address(name, dir = DEPLOYMENTS_DIR) {
+  const deployment = getDeployment(name, dir);
+  const recorded = deployment && deployment.contracts && deployment.contracts.Permit2;
+  if (recorded) {
+    return recorded.address;
+  }
+  return networks.getPermit2Address(name);
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getDeploymentPath,
+  getDeployment,
+  getPermit2Address
+};
@@ -0,0 +1,69 @@
+/**
+ * Domain Helper Functions for Permit2 on Tron
+ *
+ * These helper functions compute the TIP-712 domain separator offline, mirroring
+ * TIP712._buildDomainSeparator, so signatures can be prepared without node access.
+ */
+
+const { utils } = require('tronweb');
+const addressHelpers = require('./address-helpers');
+
+// Masked chain IDs (block.chainid & 0xffffffff) of the known Tron networks
+const CHAIN_IDS = {
+  mainnet: 728126428, // 0x2b6653dc
+  shasta: 2494104990, // 0x94a9059e
+  nile: 3448148188, // 0xcd8690dc
+  local: 3360022319 // TRE docker image (see docker-compose.yml)
+};
+
+/**
+ * Masks a chain ID to 32 bits as TIP-712 requires
+ * @param {number|string|bigint} chainId - Chain ID (may be the full 256-bit value)
+ * @returns {number} Masked chain ID
+ */
+function maskChainId(chainId) {
+  return Number(BigInt(chainId) & BigInt(0xffffffff));
+}
+
+/**
+ * Mimics TIP712._buildDomainSeparator
+ * @param {number|string|bigint} chainId - Chain ID, masked to 32 bits before encoding
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {string} Domain separator (bytes32)
+ */
+function computeDomainSeparator(chainId, permit2Address) {
+  const { keccak256, toUtf8Bytes } = utils.ethersUtils;
+  // _TYPE_HASH = keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)")
+  const TYPE_HASH = keccak256(toUtf8Bytes('EIP712Domain(string name,uint256 chainId,address verifyingContract)'));
+  // _HASHED_NAME = keccak256("Permit2")
+  const HASHED_NAME = keccak256(toUtf8Bytes('Permit2'));
+
+  // Convert contract address to uint160 (the address without the 41 prefix)
+  const permit2BigInt = addressHelpers.toUint160(permit2Address);
+
+  const encoded = utils.abi.encodeParams(
+    ['bytes32', 'bytes32', 'uint256', 'uint160'],
+    [TYPE_HASH, HASHED_NAME, maskChainId(chainId).toString(), permit2BigInt]
+  );
+
+  return keccak256(encoded);
+}
+
+/**
+ * Reads the masked chain ID of the connected node
+ *
+ * On TVM, block.chainid is the genesis block ID, so the masked value is its last 4 bytes.
+ * @param {Object} tronWeb - TronWeb instance connected to a node
+ * @returns {Promise<number>} Masked chain ID
+ */
+async function getChainId(tronWeb) {
+  const genesisBlock = await tronWeb.trx.getBlock(0);
+  return maskChainId('0x' + genesisBlock.blockID);
+}
+
+module.exports = {
+  CHAIN_IDS,
+  maskChainId,
+  computeDomainSeparator,
+  getChainId
+};
@@ -0,0 +1,303 @@
+/**
+ * Permit2 Error Decoding for Tron
+ *
+ * Reverted Permit2 transactions carry ABI-encoded custom errors in their
+ * contractResult. This module pulls that revert data out of TronWeb send errors,
+ * transaction info and constant call results, matches the 4-byte selector
+ * against the errors in the Permit2 ABI and turns it into a typed JS error with
+ * decoded arguments and a readable message.
+ */
+
+const PERMIT2_ABI = require('../abi/Permit2.json');
+
+/**
+ * Base class for every decoded Permit2 revert
+ */
+class Permit2Error extends Error {
+  /**
+   * @param {string} message - Readable description of the failure
+   * @param {Object} details - Decoded revert details
+   * @param {string} details.errorName - Solidity error name (e.g. SignatureExpired)
+   * @param {string} details.selector - 4-byte error selector
+   * @param {Object} details.args - Decoded error arguments keyed by name (integers as decimal strings)
+   * @param {string} details.data - Raw revert data
+   * @param {string} details.txID - Transaction ID, when known
+   * @param {Error} details.cause - Original TronWeb error, when known
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.errorName = details.errorName || null;
+    this.selector = details.selector || null;
+    this.args = details.args || {};
+    this.data = details.data || null;
+    this.txID = details.txID || null;
+    this.cause = details.cause;
+  }
+}
+
+// SignatureTransfer and shared errors
+class SignatureExpiredError extends Permit2Error {}
+class InvalidNonceError extends Permit2Error {}
+class InvalidAmountError extends Permit2Error {}
+class LengthMismatchError extends Permit2Error {}
+
+// AllowanceTransfer errors
+class AllowanceExpiredError extends Permit2Error {}
+class InsufficientAllowanceError extends Permit2Error {}
+class ExcessiveInvalidationError extends Permit2Error {}
+
+// SignatureVerification errors
+class InvalidSignatureLengthError extends Permit2Error {}
+class InvalidSignatureError extends Permit2Error {}
+class InvalidSignerError extends Permit2Error {}
+class InvalidContractSignatureError extends Permit2Error {}
+
+// SafeCast160 error (library error, not part of the Permit2 ABI)
+class UnsafeCastError extends Permit2Error {}
+
+// Generic Solidity reverts, e.g. from a token's transferFrom
+class RevertError extends Permit2Error {}
+class PanicError extends Permit2Error {}
+
+// Revert data that matched no known error
+class UnknownRevertError extends Permit2Error {}
+
+// Error classes and readable messages keyed by Solidity error name
+const ERROR_TYPES = {
+  SignatureExpired: {
+    ErrorClass: SignatureExpiredError,
+    describe: (args) => `Signature expired: deadline ${args.signatureDeadline} has passed`
+  },
+  InvalidNonce: {
+    ErrorClass: InvalidNonceError,
+    describe: () => 'Invalid nonce: the nonce has already been used or invalidated'
+  },
+  InvalidAmount: {
+    ErrorClass: InvalidAmountError,
+    describe: (args) => `Invalid amount: requested amount exceeds the permitted ${args.maxAmount}`
+  },
+  LengthMismatch: {
+    ErrorClass: LengthMismatchError,
+    describe: () => 'Length mismatch: permitted tokens and transfer details differ in length'
+  },
+  AllowanceExpired: {
+    ErrorClass: AllowanceExpiredError,
+    describe: (args) => `Allowance expired: expiration ${args.deadline} has passed`
+  },
+  InsufficientAllowance: {
+    ErrorClass: InsufficientAllowanceError,
+    describe: (args) => `Insufficient allowance: only ${args.amount} is available`
+  },
+  ExcessiveInvalidation: {
+    ErrorClass: ExcessiveInvalidationError,
+    describe: () => 'Excessive invalidation: a nonce can be increased by at most 65535 at a time'
+  },
+  InvalidSignatureLength: {
+    ErrorClass: InvalidSignatureLengthError,
+    describe: () => 'Invalid signature length: expected 64 or 65 bytes'
+  },
+  InvalidSignature: {
+    ErrorClass: InvalidSignatureError,
+    describe: () => 'Invalid signature: no signer could be recovered'
+  },
+  InvalidSigner: {
+    ErrorClass: InvalidSignerError,
+    describe: () => 'Invalid signer: the signature was not made by the owner'
+  },
+  InvalidContractSignature: {
+    ErrorClass: InvalidContractSignatureError,
+    describe: () => 'Invalid contract signature: the owner contract rejected the signature'
+  },
+  UnsafeCast: {
+    ErrorClass: UnsafeCastError,
+    describe: () => 'Unsafe cast: amount does not fit in uint160'
+  },
+  Error: {
+    ErrorClass: RevertError,
+    describe: (args) => `Reverted: ${args.reason}`
+  },
+  Panic: {
+    ErrorClass: PanicError,
+    describe: (args) => `Panic: code 0x${BigInt(args.code).toString(16)}`
+  }
+};
+
+// Errors that can surface from Permit2 calls but are not declared in its ABI
+const EXTRA_ERROR_FRAGMENTS = [
+  { type: 'error', name: 'UnsafeCast', inputs: [] },
+  { type: 'error', name: 'Error', inputs: [{ name: 'reason', type: 'string' }] },
+  { type: 'error', name: 'Panic', inputs: [{ name: 'code', type: 'uint256' }] }
+];
+
+let errorSelectors = null;
+
+/**
+ * Builds the selector -> error fragment map from the Permit2 ABI (computed once)
+ * @param {Object} tronWeb - TronWeb instance
+ * @returns {Object} Map of 4-byte selector (0x-prefixed, lowercase) to { name, inputs }
+ */
+function getErrorSelectors(tronWeb) {
+  if (!errorSelectors) {
+    const { keccak256, toUtf8Bytes } = tronWeb.utils.ethersUtils;
+    errorSelectors = {};
+
+    for (const fragment of [...PERMIT2_ABI, ...EXTRA_ERROR_FRAGMENTS]) {
+      if (fragment.type !== 'error') continue;
+      const signature = `${fragment.name}(${fragment.inputs.map(input => input.type).join(',')})`;
+      errorSelectors[keccak256(toUtf8Bytes(signature)).slice(0, 10)] = {
+        name: fragment.name,
+        inputs: fragment.inputs
+      };
+    }
+  }
+  return errorSelectors;
+}
+
+/**
+ * Pulls revert data out of whatever TronWeb returned or threw
+ * @param {string|Object} source - Hex revert data, a send error (error.output), transaction info or a constant call result
+ * @returns {string|null} 0x-prefixed revert data, or null if source holds none
+ */
+function extractRevertData(source) {
+  if (!source) {
+    return null;
+  }
+
+  if (typeof source === 'string') {
+    return /^(0x)?([0-9a-fA-F]{2})+$/.test(source) ? '0x' + source.replace(/^0x/, '') : null;
+  }
+
+  // send({ shouldPollResponse: true }) throws with the transaction info attached as output
+  if (source.output) {
+    return extractRevertData(source.output);
+  }
+
+  // Transaction info: contractResult is return data on success, revert data on failure
+  if (Array.isArray(source.contractResult)) {
+    if (source.receipt && source.receipt.result === 'SUCCESS') {
+      return null;
+    }
+    return extractRevertData(source.contractResult[0]);
+  }
+
+  // triggerConstantContract result: like TronWeb's call(), treat selector + whole words as revert data
+  if (Array.isArray(source.constant_result)) {
+    const result = source.constant_result[0] || '';
+    return result.length % 64 === 8 ? extractRevertData(result) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Decodes revert data against the known Permit2 errors
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} data - Revert data (hex)
+ * @returns {Object|null} Object containing name, selector and args, or null if the selector is unknown
+ */
+function decodeRevertData(tronWeb, data) {
+  const revertData = extractRevertData(data);
+  if (!revertData || revertData.length < 10) {
+    return null;
+  }
+
+  const selector = revertData.slice(0, 10).toLowerCase();
+  const fragment = getErrorSelectors(tronWeb)[selector];
+  if (!fragment) {
+    return null;
+  }
+
+  const args = {};
+  if (fragment.inputs.length > 0) {
+    const decoded = tronWeb.utils.abi.decodeParams(
+      fragment.inputs.map(input => input.name),
+      fragment.inputs.map(input => input.type),
+      '0x' + revertData.slice(10)
+    );
+    for (const input of fragment.inputs) {
+      const value = decoded[input.name];
+      args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    }
+  }
+
+  return { name: fragment.name, selector, args };
+}
+
+/**
+ * Converts a failed transaction into a typed Permit2 error
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string|Object} source - Send error, transaction info, constant call result or raw revert data
+ * @returns {Permit2Error|null} Typed error, or null if source holds no revert data
+ */
+function toPermit2Error(tronWeb, source) {
+  const data = extractRevertData(source);
+  if (!data) {
+    return null;
+  }
+
+  const cause = source instanceof Error ? source : undefined;
+  const txID = (source.transaction && source.transaction.txID) || source.id || null;
+  const decoded = decodeRevertData(tronWeb, data);
+
+  if (!decoded) {
+    return new UnknownRevertError(`Reverted with unknown error data ${data}`, { selector: data.slice(0, 10), data, txID, cause });
+  }
+
+  const { ErrorClass, describe } = ERROR_TYPES[decoded.name];
+  return new ErrorClass(describe(decoded.args), {
+    errorName: decoded.name,
+    selector: decoded.selector,
+    args: decoded.args,
+    data,
+    txID,
+    cause
+  });
+}
+
+/**
+ * Fetches a transaction's info and decodes its revert reason
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} txID - Transaction ID
+ * @returns {Promise<Permit2Error|null>} Typed error, or null if the transaction did not revert
+ */
+async function getTransactionError(tronWeb, txID) {
+  const info = await tronWeb.trx.getTransactionInfo(txID);
+  return toPermit2Error(tronWeb, info);
+}
+
+/**
+ * Rethrows a TronWeb error as a typed Permit2 error when it carries revert data
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Error} error - Error thrown by a contract send
+ * @throws {Permit2Error|Error} The decoded error, or the original one
+ */
+function rethrowPermit2Error(tronWeb, error) {
+  throw toPermit2Error(tronWeb, error) || error;
+}
+
+module.exports = {
+  Permit2Error,
+  SignatureExpiredError,
+  InvalidNonceError,
+  InvalidAmountError,
+  LengthMismatchError,
+  AllowanceExpiredError,
+  InsufficientAllowanceError,
+  ExcessiveInvalidationError,
+  InvalidSignatureLengthError,
+  InvalidSignatureError,
+  InvalidSignerError,
+  InvalidContractSignatureError,
+  UnsafeCastError,
+  RevertError,
+  PanicError,
+  UnknownRevertError,
+  ERROR_TYPES,
+  getErrorSelectors,
+  extractRevertData,
+  decodeRevertData,
+  toPermit2Error,
+  getTransactionError,
+  rethrowPermit2Error
+};
@@ -0,0 +1,281 @@
+/**
+ * Event Indexer for Permit2 on Tron
+ *
+ * Pages through the Permit2 contract's events with TronWeb's event API, decodes
+ * Approval, Permit, Lockdown, NonceInvalidation and UnorderedNonceInvalidation
+ * into typed records and folds them into a materialized view of every owner's
+ * allowances and invalidated nonce words, persisted in a pluggable store.
+ *
+ * Spending an allowance with transferFrom emits no Permit2 event, so the view
+ * holds the last approved amount; use AllowanceClient for the live remaining amount.
+ */
+
+const addressHelpers = require('./address-helpers');
+const { MemoryStore } = require('./event-stores');
+
+const EVENT_NAMES = {
+  APPROVAL: 'Approval',
+  PERMIT: 'Permit',
+  LOCKDOWN: 'Lockdown',
+  NONCE_INVALIDATION: 'NonceInvalidation',
+  UNORDERED_NONCE_INVALIDATION: 'UnorderedNonceInvalidation'
+};
+
+// Maximum page size accepted by the event API
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Creates an empty indexer state
+ * @returns {Object} State with cursor, allowances and nonceWords
+ */
+function createState() {
+  return {
+    // Last processed block timestamp (ms) and the events already applied at that timestamp
+    cursor: { blockTimestamp: 0, seen: [] },
+    // owner -> "token:spender" -> { token, spender, amount, expiration, nonce, updatedAt }
+    allowances: {},
+    // owner -> wordPos -> mask of invalidated nonces
+    nonceWords: {}
+  };
+}
+
+/**
+ * Decodes a raw event from the event API into a typed record
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} event - Event as returned by tronWeb.event.getEventsByContractAddress
+ * @returns {Object|null} Record with event, owner, event fields and block metadata, or null for unknown events
+ */
+function decodeEvent(tronWeb, event) {
+  const result = event.result;
+  const record = {
+    event: event.event_name,
+    owner: result.owner ? addressHelpers.toBase58(result.owner) : null,
+    blockNumber: event.block_number,
+    blockTimestamp: event.block_timestamp,
+    transactionId: event.transaction_id,
+    eventIndex: event.event_index,
+    id: `${event.transaction_id}:${event.event_index}`
+  };
+
+  switch (event.event_name) {
+    case EVENT_NAMES.APPROVAL:
+      return {
+        ...record,
+        token: addressHelpers.toBase58(result.token),
+        spender: addressHelpers.toBase58(result.spender),
+        amount: BigInt(result.amount).toString(),
+        expiration: Number(result.expiration)
+      };
+    case EVENT_NAMES.PERMIT:
+      return {
+        ...record,
+        token: addressHelpers.toBase58(result.token),
+        spender: addressHelpers.toBase58(result.spender),
+        amount: BigInt(result.amount).toString(),
+        expiration: Number(result.expiration),
+        nonce: Number(result.nonce)
+      };
+    case EVENT_NAMES.LOCKDOWN:
+      return {
+        ...record,
+        token: addressHelpers.toBase58(result.token),
+        spender: addressHelpers.toBase58(result.spender)
+      };
+    case EVENT_NAMES.NONCE_INVALIDATION:
+      return {
+        ...record,
+        token: addressHelpers.toBase58(result.token),
+        spender: addressHelpers.toBase58(result.spender),
+        newNonce: Number(result.newNonce),
+        oldNonce: Number(result.oldNonce)
+      };
+    case EVENT_NAMES.UNORDERED_NONCE_INVALIDATION:
+      return {
+        ...record,
+        word: BigInt(result.word).toString(),
+        mask: BigInt(result.mask).toString()
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Applies a record to the materialized view, mirroring how the contract updates storage
+ * @param {Object} state - Indexer state (mutated)
+ * @param {Object} record - Record from decodeEvent
+ * @returns {Object} The updated state
+ */
+function applyEvent(state, record) {
+  if (record.event === EVENT_NAMES.UNORDERED_NONCE_INVALIDATION) {
+    const words = state.nonceWords[record.owner] = state.nonceWords[record.owner] || {};
+    words[record.word] = (BigInt(words[record.word] || 0) | BigInt(record.mask)).toString();
+    return state;
+  }
+
+  const allowances = state.allowances[record.owner] = state.allowances[record.owner] || {};
+  const key = `${record.token}:${record.spender}`;
+  const allowance = allowances[key] = allowances[key] || {
+    token: record.token,
+    spender: record.spender,
+    amount: '0',
+    expiration: 0,
+    nonce: 0,
+    updatedAt: 0
+  };
+  // An expiration of 0 means "this block only", stored as block.timestamp
+  const blockTime = Math.floor(record.blockTimestamp / 1000);
+
+  switch (record.event) {
+    case EVENT_NAMES.APPROVAL:
+      allowance.amount = record.amount;
+      allowance.expiration = record.expiration === 0 ? blockTime : record.expiration;
+      break;
+    case EVENT_NAMES.PERMIT:
+      allowance.amount = record.amount;
+      allowance.expiration = record.expiration === 0 ? blockTime : record.expiration;
+      allowance.nonce = record.nonce + 1;
+      break;
+    case EVENT_NAMES.LOCKDOWN:
+      allowance.amount = '0';
+      break;
+    case EVENT_NAMES.NONCE_INVALIDATION:
+      allowance.nonce = record.newNonce;
+      break;
+  }
+  allowance.updatedAt = record.blockTimestamp;
+
+  return state;
+}
+
+class Permit2EventIndexer {
+  /**
+   * @param {Object} tronWeb - TronWeb instance with an event server
+   * @param {string} permit2Address - Address of the Permit2 contract
+   * @param {Object} options - Indexer options
+   * @param {Object} options.store - Store with async load() and save(state) (default MemoryStore)
+   * @param {number} options.pageSize - Events per request (default and maximum 200)
+   * @param {boolean} options.onlyConfirmed - Only index solidified events
+   */
+  constructor(tronWeb, permit2Address, options = {}) {
+    this.tronWeb = tronWeb;
+    this.address = permit2Address;
+    this.store = options.store || new MemoryStore();
+    this.pageSize = Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    this.onlyConfirmed = options.onlyConfirmed;
+    this.state = null;
+  }
+
+  /**
+   * Fetches one page of Permit2 events, oldest first
+   * @param {Object} options - Page options
+   * @param {number} options.minBlockTimestamp - Earliest block timestamp in ms
+   * @param {string} options.fingerprint - Fingerprint of the page to fetch, from the previous page
+   * @returns {Promise<Object>} Object containing records and the fingerprint of the next page (null on the last page)
+   */
+  async fetchPage(options = {}) {
+    const response = await this.tronWeb.event.getEventsByContractAddress(this.address, {
+      limit: this.pageSize,
+      orderBy: 'block_timestamp,asc',
+      minBlockTimestamp: options.minBlockTimestamp || undefined,
+      fingerprint: options.fingerprint,
+      onlyConfirmed: this.onlyConfirmed
+    });
+
+    const records = (response.data || [])
+      .map(event => decodeEvent(this.tronWeb, event))
+      .filter(record => record !== null);
+
+    return {
+      records,
+      fingerprint: (response.meta && response.meta.fingerprint) || null
+    };
+  }
+
+  /**
+   * Pages through every event since the last sync and updates the materialized view
+   * @returns {Promise<Array<Object>>} Newly applied records
+   */
+  async sync() {
+    const state = await this.getState();
+    const applied = [];
+    // Later pages must repeat the query of the first one, so fix the start before the cursor moves
+    const minBlockTimestamp = state.cursor.blockTimestamp;
+    let fingerprint;
+
+    do {
+      const page = await this.fetchPage({ minBlockTimestamp, fingerprint });
+
+      for (const record of page.records) {
+        // The cursor timestamp is inclusive, so skip events applied in the previous sync
+        if (record.blockTimestamp === state.cursor.blockTimestamp && state.cursor.seen.includes(record.id)) {
+          continue;
+        }
+        applyEvent(state, record);
+        applied.push(record);
+
+        if (record.blockTimestamp !== state.cursor.blockTimestamp) {
+          state.cursor = { blockTimestamp: record.blockTimestamp, seen: [] };
+        }
+        state.cursor.seen.push(record.id);
+      }
+
+      fingerprint = page.fingerprint;
+    } while (fingerprint);
+
+    await this.store.save(state);
+    return applied;
+  }
+
+  /**
+   * Returns the indexer state, loading it from the store on first use
+   * @returns {Promise<Object>} Indexer state
+   */
+  async getState() {
+    if (!this.state) {
+      this.state = (await this.store.load()) || createState();
+    }
+    return this.state;
+  }
+
+  /**
+   * Lists the owners that appear in the view
+   * @returns {Promise<Array<string>>} Base58 owner addresses
+   */
+  async getOwners() {
+    const state = await this.getState();
+    return Array.from(new Set([...Object.keys(state.allowances), ...Object.keys(state.nonceWords)]));
+  }
+
+  /**
+   * Lists an owner's allowances ("what have I approved?")
+   * @param {string} owner - Token owner address
+   * @param {Object} options - Filter options
+   * @param {boolean} options.includeRevoked - Include allowances with a zero amount (default false)
+   * @returns {Promise<Array<Object>>} Allowances with token, spender, amount, expiration, nonce and updatedAt
+   */
+  async getAllowances(owner, options = {}) {
+    const state = await this.getState();
+    const allowances = Object.values(state.allowances[addressHelpers.toBase58(owner)] || {});
+    return options.includeRevoked ? allowances : allowances.filter(allowance => allowance.amount !== '0');
+  }
+
+  /**
+   * Lists an owner's invalidated unordered nonce words
+   * @param {string} owner - Token owner address
+   * @returns {Promise<Array<Object>>} Entries of { wordPos, mask } as decimal strings
+   */
+  async getNonceWords(owner) {
+    const state = await this.getState();
+    return Object.entries(state.nonceWords[addressHelpers.toBase58(owner)] || {})
+      .map(([wordPos, mask]) => ({ wordPos, mask }));
+  }
+}
+
+module.exports = {
+  Permit2EventIndexer,
+  EVENT_NAMES,
+  createState,
+  decodeEvent,
+  applyEvent
+};
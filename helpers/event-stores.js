@@ -0,0 +1,35 @@
+/**
+ * State Stores for the Permit2 Event Indexer
+ *
+ * A store persists the indexer's state (sync cursor plus the materialized
+ * allowance and nonce views) between runs. Any object with async load() and
+ * save(state) methods can be passed to the indexer. MemoryStore is the default;
+ * JsonFileStore (json-file-store.js) persists to disk under Node.
+ */
+
+/**
+ * Keeps the indexer state in memory (lost when the process exits)
+ */
+class MemoryStore {
+  constructor() {
+    this.state = null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Saved state, or null if nothing was saved yet
+   */
+  async load() {
+    return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+  }
+
+  /**
+   * @param {Object} state - Indexer state
+   */
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+module.exports = {
+  MemoryStore
+};
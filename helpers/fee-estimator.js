@@ -0,0 +1,239 @@
+/**
+ * Energy and Bandwidth Estimation for Permit2 on Tron
+ *
+ * Instead of a fixed feeLimit for every call, this estimates the energy a
+ * Permit2 call will use with the node's constant-call energy estimate, splits
+ * it between the caller and the contract deployer according to the contract's
+ * userFeePercentage (consume_user_resource_percent), checks the caller's staked
+ * energy and bandwidth, and converts what is left into a suggested feeLimit in
+ * SUN at the chain's current energy price.
+ */
+
+const addressHelpers = require('./address-helpers');
+const simulation = require('./simulation');
+
+// Default chain prices in SUN, used when a parameter is missing from getChainParameters
+const DEFAULT_ENERGY_PRICE = 420;
+const DEFAULT_BANDWIDTH_PRICE = 1000;
+const DEFAULT_MAX_FEE_LIMIT = 15000 * 1e6;
+
+// Safety margin added to the energy estimate, in percent
+const DEFAULT_MARGIN = 20;
+
+// Bytes a transaction adds on top of raw_data: one signature plus the result slot the node reserves
+const SIGNATURE_BYTES = 67;
+const RESULT_BYTES = 64;
+
+/**
+ * Reads the energy price, bandwidth price and maximum feeLimit from the chain parameters
+ * @param {Object} tronWeb - TronWeb instance
+ * @returns {Promise<Object>} Object containing energyPrice, bandwidthPrice and maxFeeLimit in SUN
+ */
+async function getChainPrices(tronWeb) {
+  const parameters = await tronWeb.trx.getChainParameters();
+  const find = (key, fallback) => {
+    const parameter = parameters.find(entry => entry.key === key);
+    return parameter && parameter.value !== undefined ? Number(parameter.value) : fallback;
+  };
+
+  return {
+    energyPrice: find('getEnergyFee', DEFAULT_ENERGY_PRICE),
+    bandwidthPrice: find('getTransactionFee', DEFAULT_BANDWIDTH_PRICE),
+    maxFeeLimit: find('getMaxFeeLimit', DEFAULT_MAX_FEE_LIMIT)
+  };
+}
+
+/**
+ * Reads the energy and bandwidth an account can use without burning TRX
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} address - Account address
+ * @returns {Promise<Object>} Object containing energy and bandwidth available
+ */
+async function getAvailableResources(tronWeb, address) {
+  const resources = await tronWeb.trx.getAccountResources(address);
+
+  return {
+    energy: Math.max(0, (resources.EnergyLimit || 0) - (resources.EnergyUsed || 0)),
+    bandwidth: Math.max(0, (resources.freeNetLimit || 0) - (resources.freeNetUsed || 0)) +
+      Math.max(0, (resources.NetLimit || 0) - (resources.NetUsed || 0))
+  };
+}
+
+/**
+ * Estimates the energy a contract call will use
+ * Uses the node's estimateEnergy API and falls back to the energy_used of a constant call
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} contractAddress - Contract address
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {string} method - Function signature or name
+ * @param {Array} args - Call arguments, as passed to the TronWeb contract method
+ * @param {string} from - Caller address (msg.sender)
+ * @returns {Promise<number>} Estimated energy
+ * @throws {Permit2Error} If the call would revert
+ */
+async function estimateEnergy(tronWeb, contractAddress, abi, method, args, from) {
+  const fragment = simulation.getFunctionFragment(abi, method);
+
+  try {
+    const response = await tronWeb.transactionBuilder.estimateEnergy(
+      addressHelpers.toTronHex(contractAddress),
+      simulation.getFunctionSignature(fragment),
+      { rawParameter: tronWeb.utils.abi.encodeParamsV2ByABI(fragment, args) },
+      [],
+      addressHelpers.toTronHex(from)
+    );
+    if (response.energy_required) {
+      return response.energy_required;
+    }
+  } catch (error) {
+    // Nodes without vm.estimateEnergy enabled reject the request, so use a constant call instead
+  }
+
+  const call = await simulation.simulateCall(tronWeb, contractAddress, abi, method, args, from);
+  if (!call.success) {
+    throw call.revert;
+  }
+  return call.energyUsed;
+}
+
+/**
+ * Estimates the bandwidth (transaction size in bytes) of a contract call
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} contractAddress - Contract address
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {string} method - Function signature or name
+ * @param {Array} args - Call arguments, as passed to the TronWeb contract method
+ * @param {string} from - Caller address (msg.sender)
+ * @param {number} feeLimit - feeLimit the transaction will be built with
+ * @returns {Promise<number>} Estimated bandwidth in bytes
+ */
+async function estimateBandwidth(tronWeb, contractAddress, abi, method, args, from, feeLimit) {
+  const fragment = simulation.getFunctionFragment(abi, method);
+  const { transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+    addressHelpers.toTronHex(contractAddress),
+    simulation.getFunctionSignature(fragment),
+    { rawParameter: tronWeb.utils.abi.encodeParamsV2ByABI(fragment, args), feeLimit },
+    [],
+    addressHelpers.toTronHex(from)
+  );
+
+  return transaction.raw_data_hex.length / 2 + SIGNATURE_BYTES + RESULT_BYTES;
+}
+
+/**
+ * Splits energy between the caller and the contract deployer
+ * The deployer pays (100 - userFeePercentage)% up to origin_energy_limit, from its own staked energy only
+ * @param {number} energy - Total energy of the call
+ * @param {number} userFeePercentage - Contract's consume_user_resource_percent
+ * @param {number} originEnergyLimit - Contract's origin_energy_limit
+ * @param {number} originAvailableEnergy - Staked energy the deployer has left
+ * @returns {Object} Object containing caller and origin energy
+ */
+function splitEnergy(energy, userFeePercentage, originEnergyLimit, originAvailableEnergy) {
+  const originShare = Math.floor(energy * (100 - userFeePercentage) / 100);
+  const origin = Math.min(originShare, originEnergyLimit, originAvailableEnergy);
+
+  return {
+    caller: energy - origin,
+    origin
+  };
+}
+
+/**
+ * Converts caller energy into a feeLimit in SUN, with a safety margin
+ * @param {number} energy - Energy the caller pays for
+ * @param {number} energyPrice - SUN per unit of energy
+ * @param {Object} options - Options
+ * @param {number} options.margin - Safety margin in percent (default 20)
+ * @param {number} options.maxFeeLimit - Chain maximum feeLimit in SUN
+ * @param {number} options.minFeeLimit - Lowest feeLimit to suggest in SUN (default 0)
+ * @returns {number} Suggested feeLimit in SUN
+ */
+function suggestFeeLimit(energy, energyPrice, options = {}) {
+  const margin = options.margin !== undefined ? options.margin : DEFAULT_MARGIN;
+  const maxFeeLimit = options.maxFeeLimit || DEFAULT_MAX_FEE_LIMIT;
+  const feeLimit = Math.max(Math.ceil(energy * (100 + margin) / 100) * energyPrice, options.minFeeLimit || 0);
+
+  return Math.min(feeLimit, maxFeeLimit);
+}
+
+/**
+ * Estimates the energy, bandwidth and cost of a contract call and suggests a feeLimit
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} contractAddress - Contract address
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {string} method - Function signature or name
+ * @param {Array} args - Call arguments, as passed to the TronWeb contract method
+ * @param {string} from - Caller address (msg.sender)
+ * @param {Object} options - Options
+ * @param {number} options.margin - Safety margin in percent (default 20)
+ * @returns {Promise<Object>} Fee estimate (see README)
+ * @throws {Permit2Error} If the call would revert
+ */
+async function estimateFee(tronWeb, contractAddress, abi, method, args, from, options = {}) {
+  const prices = await getChainPrices(tronWeb);
+  const contract = await tronWeb.trx.getContract(contractAddress);
+  // Protobuf omits zero values, so a missing percentage means the deployer pays everything
+  const userFeePercentage = contract.consume_user_resource_percent || 0;
+  const originEnergyLimit = contract.origin_energy_limit || 0;
+
+  const energy = await estimateEnergy(tronWeb, contractAddress, abi, method, args, from);
+  const originResources = userFeePercentage < 100 && originEnergyLimit > 0
+    ? await getAvailableResources(tronWeb, contract.origin_address)
+    : { energy: 0 };
+  const split = splitEnergy(energy, userFeePercentage, originEnergyLimit, originResources.energy);
+
+  const callerResources = await getAvailableResources(tronWeb, from);
+  // TronWeb rejects a feeLimit of 0, and the deployer's energy can run out before the call lands,
+  // so the feeLimit always covers the whole call even when the contract pays for it
+  const feeLimit = suggestFeeLimit(split.caller, prices.energyPrice, {
+    ...options,
+    minFeeLimit: energy * prices.energyPrice,
+    maxFeeLimit: prices.maxFeeLimit
+  });
+  const bandwidth = await estimateBandwidth(tronWeb, contractAddress, abi, method, args, from, feeLimit);
+
+  const energyBurned = Math.max(0, split.caller - callerResources.energy);
+  // Bandwidth is all-or-nothing: if the account cannot cover the whole transaction, every byte is burned
+  const bandwidthCovered = callerResources.bandwidth >= bandwidth;
+
+  return {
+    method,
+    energy: {
+      total: energy,
+      caller: split.caller,
+      origin: split.origin,
+      available: callerResources.energy,
+      covered: energyBurned === 0
+    },
+    bandwidth: {
+      bytes: bandwidth,
+      available: callerResources.bandwidth,
+      covered: bandwidthCovered
+    },
+    userFeePercentage,
+    coveredByContract: split.caller === 0,
+    energyPrice: prices.energyPrice,
+    bandwidthPrice: prices.bandwidthPrice,
+    feeLimit,
+    cost: {
+      energy: energyBurned * prices.energyPrice,
+      bandwidth: bandwidthCovered ? 0 : bandwidth * prices.bandwidthPrice,
+      total: energyBurned * prices.energyPrice + (bandwidthCovered ? 0 : bandwidth * prices.bandwidthPrice)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_ENERGY_PRICE,
+  DEFAULT_BANDWIDTH_PRICE,
+  DEFAULT_MAX_FEE_LIMIT,
+  DEFAULT_MARGIN,
+  getChainPrices,
+  getAvailableResources,
+  estimateEnergy,
+  estimateBandwidth,
+  splitEnergy,
+  suggestFeeLimit,
+  estimateFee
+};
@@ -0,0 +1,55 @@
+/**
+ * Type declarations for hash-helpers.js
+ */
+
+import type {
+  Address,
+  Bytes32,
+  Hex,
+  PermitBatchTransferFrom,
+  PermitDetails,
+  PermitTransferFrom,
+  TronWebInstance,
+  Uint
+} from './permit2-types';
+
+/** Mimics PermitHash._hashTokenPermissions */
+export function hashTokenPermissions(
+  tronWeb: TronWebInstance,
+  token: Address,
+  amount: Uint,
+  typeHash?: Bytes32 | null
+): Bytes32;
+
+/** Mimics PermitHash._hashPermitDetails */
+export function hashPermitDetails(tronWeb: TronWebInstance, details: PermitDetails, typeHash?: Bytes32 | null): Bytes32;
+
+/** Mimics keccak256(abi.encodePacked(bytes32[])) used by PermitHash for struct arrays */
+export function hashArray(tronWeb: TronWebInstance, hashes: Bytes32[]): Bytes32;
+
+/** Mimics PermitHash.hashWithWitness */
+export function hashWithWitness(
+  tronWeb: TronWebInstance,
+  permit: PermitTransferFrom,
+  witness: Bytes32,
+  witnessTypeString: string,
+  msgSender: Address
+): Bytes32;
+
+/** Mimics PermitHash.hashWithWitness for PermitBatchTransferFrom */
+export function hashBatchWithWitness(
+  tronWeb: TronWebInstance,
+  permit: PermitBatchTransferFrom,
+  witness: Bytes32,
+  witnessTypeString: string,
+  msgSender: Address
+): Bytes32;
+
+/** Mimics TIP712._hashTypedData */
+export function hashTypedData(tronWeb: TronWebInstance, domainSeparator: Bytes32, structHash: Bytes32): Bytes32;
+
+/**
+ * Mimics SignatureVerification.verify for signers without code
+ * @throws {Error} InvalidSignatureLength, InvalidSignature or InvalidSigner
+ */
+export function verify(tronWeb: TronWebInstance, signature: Hex, hash: Bytes32, claimedSigner: Address): true;
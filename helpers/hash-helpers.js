@@ -5,6 +5,12 @@
  * verified to produce the same output as the Solidity implementations.
  */
 
+const addressHelpers = require('./address-helpers');
+const validationHelpers = require('./validation-helpers');
+
+// Order of the secp256k1 curve; ecrecover rejects r and s outside (0, n)
+const SECP256K1_N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
 const hashHelpers = {
   /**
    * Mimics PermitHash._hashTokenPermissions
@@ -13,17 +19,17 @@ const hashHelpers = {
    * @param {string} amount - Amount to permit
    * @param {string} typeHash - Optional custom type hash
    * @returns {string} Keccak256 hash of the token permissions
+   * @throws {ValidationError} If the token or amount is invalid
    */
   hashTokenPermissions: (tronWeb, token, amount, typeHash = null) => {
+    validationHelpers.validateAddress(token, 'token');
+    validationHelpers.validateUint(amount, 'uint256', 'amount');
+    
     // TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)")
     const TOKEN_PERMISSIONS_TYPEHASH = typeHash || ('0x' + tronWeb.sha3('TokenPermissions(address token,uint256 amount)', false));
     
-    // Convert token address to hex if needed
-    const tokenHex = token.startsWith('0x') ? token : tronWeb.address.toHex(token);
-    
-    // Convert address to uint160 by removing the 41 prefix and converting to BigInt
-    const tokenWithout41 = '0x' + tokenHex.slice(2);
-    const tokenBigInt = BigInt(tokenWithout41).toString();
+    // Convert token address to uint160 (the address without the 41 prefix)
+    const tokenBigInt = addressHelpers.toUint160(token);
     
     // Encode: typehash, token as uint160, amount
     const encoded = tronWeb.utils.abi.encodeParams(
@@ -35,6 +41,48 @@ const hashHelpers = {
     return tronWeb.utils.ethersUtils.keccak256(encoded);
   },
   
+  /**
+   * Mimics PermitHash._hashPermitDetails
+   * @param {Object} tronWeb - TronWeb instance
+   * @param {Object} details - Permit details with token, amount, expiration, nonce
+   * @param {string} typeHash - Optional custom type hash
+   * @returns {string} Keccak256 hash of the permit details
+   * @throws {ValidationError} If a detail is invalid
+   */
+  hashPermitDetails: (tronWeb, details, typeHash = null) => {
+    validationHelpers.validatePermitDetails(details, 'details');
+    
+    // PERMIT_DETAILS_TYPEHASH = keccak256("PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)")
+    const PERMIT_DETAILS_TYPEHASH = typeHash || ('0x' + tronWeb.sha3(
+      'PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+      false
+    ));
+    
+    // Convert token address to uint160 (the address without the 41 prefix)
+    const tokenBigInt = addressHelpers.toUint160(details.token);
+    
+    // Encode: typehash, token as uint160, amount, expiration, nonce
+    const encoded = tronWeb.utils.abi.encodeParams(
+      ['bytes32', 'uint160', 'uint160', 'uint48', 'uint48'],
+      [PERMIT_DETAILS_TYPEHASH, tokenBigInt, details.amount, details.expiration, details.nonce]
+    );
+    
+    return tronWeb.utils.ethersUtils.keccak256(encoded);
+  },
+  
+  /**
+   * Mimics keccak256(abi.encodePacked(bytes32[])) used by PermitHash for struct arrays
+   * @param {Object} tronWeb - TronWeb instance
+   * @param {Array<string>} hashes - Array of struct hashes (bytes32)
+   * @returns {string} Keccak256 hash of the tightly packed hashes
+   */
+  hashArray: (tronWeb, hashes) => {
+    // abi.encodePacked of bytes32[] is a plain concatenation of the 32-byte words
+    const packed = '0x' + hashes.map(hash => hash.slice(2)).join('');
+    
+    return tronWeb.utils.ethersUtils.keccak256(packed);
+  },
+  
   /**
    * Mimics PermitHash.hashWithWitness
    * @param {Object} tronWeb - TronWeb instance
@@ -43,8 +91,13 @@ const hashHelpers = {
    * @param {string} witnessTypeString - Witness type string (e.g., "ExtraData(uint256 value)")
    * @param {string} msgSender - Address of the account that will call the function
    * @returns {string} Keccak256 hash of the permit with witness
+   * @throws {ValidationError} If the permit, witness or msgSender is invalid
    */
   hashWithWitness: (tronWeb, permit, witness, witnessTypeString, msgSender) => {
+    validationHelpers.validatePermitTransferFrom(permit, { deadline: false });
+    validationHelpers.validateAddress(msgSender, 'msgSender');
+    validationHelpers.validateBytes32(witness, 'witness');
+    
     // Calculate the permit type hash
     const PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB = 
       "PermitWitnessTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline,";
@@ -60,9 +113,7 @@ const hashHelpers = {
     );
     
     // Convert msg.sender to uint160
-    const msgSenderHex = msgSender.startsWith('0x') ? msgSender : tronWeb.address.toHex(msgSender);
-    const msgSenderWithout41 = '0x' + msgSenderHex.slice(2);
-    const msgSenderBigInt = BigInt(msgSenderWithout41).toString();
+    const msgSenderBigInt = addressHelpers.toUint160(msgSender);
     
     // Encode the permit data
     const encoded = tronWeb.utils.abi.encodeParams(
@@ -74,6 +125,47 @@ const hashHelpers = {
     return tronWeb.utils.ethersUtils.keccak256(encoded);
   },
   
+  /**
+   * Mimics PermitHash.hashWithWitness for PermitBatchTransferFrom
+   * @param {Object} tronWeb - TronWeb instance
+   * @param {Object} permit - Batch permit object with permitted array, spender, nonce, deadline
+   * @param {string} witness - Witness hash (bytes32)
+   * @param {string} witnessTypeString - Witness type string (e.g., "ExtraData(uint256 value)")
+   * @param {string} msgSender - Address of the account that will call the function
+   * @returns {string} Keccak256 hash of the batch permit with witness
+   * @throws {ValidationError} If the permit, witness or msgSender is invalid
+   */
+  hashBatchWithWitness: (tronWeb, permit, witness, witnessTypeString, msgSender) => {
+    validationHelpers.validatePermitTransferFrom(permit, { deadline: false });
+    validationHelpers.validateAddress(msgSender, 'msgSender');
+    validationHelpers.validateBytes32(witness, 'witness');
+    
+    // Calculate the permit type hash
+    const PERMIT_BATCH_WITNESS_TRANSFER_FROM_TYPEHASH_STUB =
+      "PermitBatchWitnessTransferFrom(TokenPermissions[] permitted,address spender,uint256 nonce,uint256 deadline,";
+    const typeHash = tronWeb.utils.ethersUtils.keccak256(
+      tronWeb.utils.ethersUtils.toUtf8Bytes(PERMIT_BATCH_WITNESS_TRANSFER_FROM_TYPEHASH_STUB + witnessTypeString)
+    );
+    
+    // Calculate token permissions hashes and hash the packed array
+    const tokenPermissionsHashes = permit.permitted.map(permitted =>
+      hashHelpers.hashTokenPermissions(tronWeb, permitted.token, permitted.amount)
+    );
+    const tokenPermissionsArrayHash = hashHelpers.hashArray(tronWeb, tokenPermissionsHashes);
+    
+    // Convert msg.sender to uint160
+    const msgSenderBigInt = addressHelpers.toUint160(msgSender);
+    
+    // Encode the permit data
+    const encoded = tronWeb.utils.abi.encodeParams(
+      ['bytes32', 'bytes32', 'uint160', 'uint256', 'uint256', 'bytes32'],
+      [typeHash, tokenPermissionsArrayHash, msgSenderBigInt, permit.nonce, permit.deadline, witness]
+    );
+    
+    // Return keccak256 hash
+    return tronWeb.utils.ethersUtils.keccak256(encoded);
+  },
+  
   /**
    * Mimics TIP712._hashTypedData
    * @param {Object} tronWeb - TronWeb instance
@@ -91,15 +183,18 @@ const hashHelpers = {
   },
   
   /**
-   * Mimics SignatureVerification.verify
+   * Mimics SignatureVerification.verify for signers without code (ECDSA recovery via ecrecover);
+   * use signatureVerification.verify to also cover ERC-1271 contract signers
    * @param {Object} tronWeb - TronWeb instance
    * @param {string} signature - Signature to verify
    * @param {string} hash - Hash that was signed
-   * @param {string} claimedSigner - Address claiming to have signed
+   * @param {string} claimedSigner - Address claiming to have signed (base58, 41-hex, 0x41-hex or EVM)
    * @returns {boolean} True if signature is valid
    * @throws {Error} If signature is invalid
    */
   verify: (tronWeb, signature, hash, claimedSigner) => {
+    validationHelpers.validateAddress(claimedSigner, 'claimedSigner');
+    
     // Handle both 65-byte and 64-byte (EIP-2098) signatures
     let r, s, v;
     
@@ -122,20 +217,38 @@ const hashHelpers = {
       throw new Error('InvalidSignatureLength');
     }
     
-    // Recover the signer using ethersUtils
-    const recoveredAddress = tronWeb.utils.ethersUtils.recoverAddress(hash, { r, s, v });
+    // ecrecover returns address(0) unless v is 27 or 28 and r and s are in (0, n)
+    const rBigInt = BigInt(r);
+    const sBigInt = BigInt(s);
+    if ((v !== 27 && v !== 28) || rBigInt === BigInt(0) || rBigInt >= SECP256K1_N ||
+        sBigInt === BigInt(0) || sBigInt >= SECP256K1_N) {
+      throw new Error('InvalidSignature');
+    }
+    
+    // ecrecover accepts high-s signatures but ethersUtils does not, so recover from the
+    // equivalent low-s form (n - s with the parity of v flipped), which yields the same signer
+    if (sBigInt > SECP256K1_N / BigInt(2)) {
+      s = '0x' + (SECP256K1_N - sBigInt).toString(16).padStart(64, '0');
+      v = v === 27 ? 28 : 27;
+    }
     
-    if (!recoveredAddress) {
+    // Recover the signer using ethersUtils (r may not be a curve point, which ecrecover also rejects)
+    let recoveredAddress;
+    try {
+      recoveredAddress = tronWeb.utils.ethersUtils.recoverAddress(hash, { r, s, v });
+    } catch (error) {
       throw new Error('InvalidSignature');
     }
     
-    // Convert both addresses to hex for comparison
-    // ethersUtils returns Ethereum-style address (0x prefix, no 41), so we need to convert
-    const recoveredHex = '41' + recoveredAddress.slice(2).toLowerCase();
-    const claimedHex = tronWeb.address.toHex(claimedSigner).toLowerCase();
+    if (!recoveredAddress) {
+      throw new Error('InvalidSignature');
+    }
     
-    if (recoveredHex.toLowerCase() !== claimedHex.toLowerCase()) {
-      throw new Error(`InvalidSigner: claimed ${claimedHex}, recovered ${recoveredHex}`);
+    // ethersUtils returns an EVM address (0x prefix, no 41), which is compared by its 20 bytes
+    if (!addressHelpers.isSameAddress(recoveredAddress, claimedSigner)) {
+      throw new Error(
+        `InvalidSigner: claimed ${addressHelpers.toTronHex(claimedSigner)}, recovered ${addressHelpers.toTronHex(recoveredAddress)}`
+      );
     }
     
     return true;
@@ -0,0 +1,51 @@
+/**
+ * JSON File State Store for the Permit2 Event Indexer
+ *
+ * Persists the indexer state to a JSON file so a restarted indexer resumes
+ * from its cursor. It needs the filesystem, so it is exported from the Node
+ * entrypoint (node.js) only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps the indexer state in a JSON file
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Path of the JSON file (created on first save)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Saved state, or null if the file does not exist yet
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes to a temporary file first so a crash never leaves a half-written state
+   * @param {Object} state - Indexer state
+   */
+  async save(state) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2) + '\n');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  JsonFileStore
+};
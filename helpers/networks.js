@@ -0,0 +1,101 @@
+/**
+ * Permit2 Deployments on Tron
+ *
+ * Registry of the networks Permit2 is deployed on: the Permit2 address, the
+ * masked chain ID its TIP-712 domain uses and a public full node. The local
+ * network is the TRE docker image, where Permit2 is redeployed with every fresh
+ * node and its address is not known in advance.
+ *
+ * Uses no Node built-ins, so it is safe to bundle for browsers; the deployment
+ * records scripts/deploy.js writes are read by deployments.js.
+ */
+
+const domainHelpers = require('./domain-helpers');
+
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    chainId: domainHelpers.CHAIN_IDS.mainnet,
+    fullHost: 'https://api.trongrid.io',
+    permit2: 'TJhMXTHQHeQyMD7TcKQFqAePNgG4b31H9m'
+  },
+  nile: {
+    name: 'nile',
+    chainId: domainHelpers.CHAIN_IDS.nile,
+    fullHost: 'https://nile.trongrid.io',
+    permit2: 'TVvdqUmWbRBwTq5WrUBMoZepELspTt6iR6'
+  },
+  shasta: {
+    name: 'shasta',
+    chainId: domainHelpers.CHAIN_IDS.shasta,
+    fullHost: 'https://api.shasta.trongrid.io',
+    permit2: 'TPUqJPASUn1zLvbLBgRZ5pBYrx7WSe5ahp'
+  },
+  local: {
+    name: 'local',
+    chainId: domainHelpers.CHAIN_IDS.local,
+    fullHost: 'http://127.0.0.1:9095',
+    permit2: null
+  }
+};
+
+// TronBox calls the local network "development" (see tronbox-config.js)
+const NETWORK_ALIASES = {
+  development: 'local'
+};
+
+/**
+ * Looks up a network by name
+ * @param {string} name - Network name (mainnet, nile, shasta, local or development)
+ * @returns {Object} Network with name, chainId, fullHost and permit2
+ * @throws {Error} If the network is unknown
+ */
+function getNetwork(name) {
+  const network = NETWORKS[NETWORK_ALIASES[name] || name];
+  if (!network) {
+    throw new Error(`Unknown network: ${name} (expected ${[...Object.keys(NETWORKS), ...Object.keys(NETWORK_ALIASES)].join(', ')})`);
+  }
+  return network;
+}
+
+/**
+ * Whether a network is a throwaway development chain (mocks are only deployed there)
+ * @param {string} name - Network name (TronBox names such as development are accepted)
+ * @returns {boolean} True for the local network
+ */
+function isDevelopmentNetwork(name) {
+  return (NETWORK_ALIASES[name] || name) === NETWORKS.local.name;
+}
+
+/**
+ * Looks up a network by chain ID
+ * @param {number|string|bigint} chainId - Chain ID, masked or full
+ * @returns {Object|null} Network, or null if no known network has that chain ID
+ */
+function getNetworkByChainId(chainId) {
+  const masked = domainHelpers.maskChainId(chainId);
+  return Object.values(NETWORKS).find((network) => network.chainId === masked) || null;
+}
+
+/**
+ * Returns the Permit2 address a network is known to have
+ * @param {string} name - Network name
+ * @returns {string} Base58 Permit2 address
+ * @throws {Error} If the network is unknown or has no fixed address (local)
+ */
+function getPermit2Address(name) {
+  const network = getNetwork(name);
+  if (!network.permit2) {
+    throw new Error(`Permit2 has no fixed address on ${network.name}; pass the address it was deployed at`);
+  }
+  return network.permit2;
+}
+
+module.exports = {
+  NETWORKS,
+  NETWORK_ALIASES,
+  getNetwork,
+  isDevelopmentNetwork,
+  getNetworkByChainId,
+  getPermit2Address
+};
@@ -0,0 +1,176 @@
+/**
+ * Unordered Nonce Manager for Permit2 SignatureTransfer on Tron
+ *
+ * SignatureTransfer nonces are unordered: nonce >> 8 selects a 256-bit word in
+ * nonceBitmap(owner, wordPos) and the low 8 bits select the bit within it. This
+ * module holds that arithmetic in one place and finds free nonces on-chain while
+ * keeping local reservations so concurrent signers never pick the same nonce.
+ */
+
+const addressHelpers = require('./address-helpers');
+
+/**
+ * Splits a nonce into its bitmap word position and bit position
+ * @param {number|string|bigint} nonce - Unordered nonce (uint256)
+ * @returns {Object} Object containing wordPos (bigint) and bitPos (number)
+ */
+function getNoncePosition(nonce) {
+  const nonceBigInt = BigInt(nonce);
+  return {
+    wordPos: nonceBigInt >> BigInt(8),
+    bitPos: Number(nonceBigInt & BigInt(0xff))
+  };
+}
+
+/**
+ * Builds a nonce from its bitmap word position and bit position
+ * @param {number|string|bigint} wordPos - Word position in the bitmap
+ * @param {number} bitPos - Bit position within the word (0-255)
+ * @returns {string} Nonce as a decimal string
+ */
+function buildNonce(wordPos, bitPos) {
+  return ((BigInt(wordPos) << BigInt(8)) | BigInt(bitPos)).toString();
+}
+
+/**
+ * Checks whether a bit is set in a bitmap word
+ * @param {number|string|bigint} bitmap - Bitmap word returned by nonceBitmap
+ * @param {number} bitPos - Bit position within the word (0-255)
+ * @returns {boolean} True if the bit is set
+ */
+function isBitSet(bitmap, bitPos) {
+  return (BigInt(bitmap) & (BigInt(1) << BigInt(bitPos))) !== BigInt(0);
+}
+
+/**
+ * Computes the (wordPos, mask) pairs to pass to invalidateUnorderedNonces
+ * @param {Array<number|string|bigint>} nonces - Nonces to invalidate
+ * @returns {Array<Object>} One { wordPos, mask } entry per bitmap word, as decimal strings
+ */
+function getInvalidationParams(nonces) {
+  const masks = new Map();
+
+  for (const nonce of nonces) {
+    const { wordPos, bitPos } = getNoncePosition(nonce);
+    const key = wordPos.toString();
+    masks.set(key, (masks.get(key) || BigInt(0)) | (BigInt(1) << BigInt(bitPos)));
+  }
+
+  return Array.from(masks, ([wordPos, mask]) => ({
+    wordPos: wordPos,
+    mask: mask.toString()
+  }));
+}
+
+class UnorderedNonceManager {
+  /**
+   * @param {Object} permit2 - TronWeb contract instance of Permit2
+   * @param {Object} options - Manager options
+   * @param {number} options.startWord - First bitmap word to search (default 0)
+   * @param {number} options.maxWords - Number of words to search before giving up (default 16)
+   */
+  constructor(permit2, options = {}) {
+    this.permit2 = permit2;
+    this.startWord = BigInt(options.startWord || 0);
+    this.maxWords = options.maxWords || 16;
+    // owner -> Set of reserved nonces (decimal strings)
+    this.reservations = new Map();
+  }
+
+  /**
+   * Reads a bitmap word from the contract
+   * @param {string} owner - Token owner address
+   * @param {number|string|bigint} wordPos - Word position in the bitmap
+   * @returns {Promise<bigint>} Bitmap word
+   */
+  async getBitmap(owner, wordPos) {
+    const bitmap = await this.permit2.nonceBitmap(addressHelpers.toTronHex(owner), wordPos.toString()).call();
+    return BigInt(bitmap.toString());
+  }
+
+  /**
+   * Checks on-chain whether a nonce has been used or invalidated
+   * @param {string} owner - Token owner address
+   * @param {number|string|bigint} nonce - Unordered nonce
+   * @returns {Promise<boolean>} True if the nonce can no longer be used
+   */
+  async isNonceUsed(owner, nonce) {
+    const { wordPos, bitPos } = getNoncePosition(nonce);
+    const bitmap = await this.getBitmap(owner, wordPos);
+    return isBitSet(bitmap, bitPos);
+  }
+
+  /**
+   * Finds the next nonce that is neither used on-chain nor reserved locally, and reserves it
+   * @param {string} owner - Token owner address
+   * @returns {Promise<string>} Reserved nonce as a decimal string
+   * @throws {Error} If no free nonce exists in the searched words
+   */
+  async nextNonce(owner) {
+    for (let i = 0; i < this.maxWords; i++) {
+      const wordPos = this.startWord + BigInt(i);
+      const bitmap = await this.getBitmap(owner, wordPos);
+
+      // Pick and reserve without awaiting in between so concurrent callers see each other's reservations
+      const reserved = this._getReservations(owner);
+      for (let bitPos = 0; bitPos < 256; bitPos++) {
+        const nonce = buildNonce(wordPos, bitPos);
+        if (isBitSet(bitmap, bitPos)) {
+          // Used on-chain, so any local reservation has served its purpose
+          reserved.delete(nonce);
+          continue;
+        }
+        if (!reserved.has(nonce)) {
+          reserved.add(nonce);
+          return nonce;
+        }
+      }
+    }
+
+    throw new Error(`No free nonce for ${owner} in words ${this.startWord}-${this.startWord + BigInt(this.maxWords - 1)}`);
+  }
+
+  /**
+   * Releases a reserved nonce that will not be signed or submitted
+   * @param {string} owner - Token owner address
+   * @param {number|string|bigint} nonce - Reserved nonce
+   */
+  release(owner, nonce) {
+    this._getReservations(owner).delete(BigInt(nonce).toString());
+  }
+
+  /**
+   * Lists the nonces currently reserved for an owner
+   * @param {string} owner - Token owner address
+   * @returns {Array<string>} Reserved nonces as decimal strings
+   */
+  getReserved(owner) {
+    return Array.from(this._getReservations(owner));
+  }
+
+  /**
+   * Computes the invalidateUnorderedNonces parameters for nonces
+   * @param {Array<number|string|bigint>} nonces - Nonces to invalidate
+   * @returns {Array<Object>} One { wordPos, mask } entry per bitmap word
+   */
+  getInvalidationParams(nonces) {
+    return getInvalidationParams(nonces);
+  }
+
+  _getReservations(owner) {
+    // Key by one format so the same owner given as base58 and hex shares its reservations
+    const key = addressHelpers.toTronHex(owner);
+    if (!this.reservations.has(key)) {
+      this.reservations.set(key, new Set());
+    }
+    return this.reservations.get(key);
+  }
+}
+
+module.exports = {
+  UnorderedNonceManager,
+  getNoncePosition,
+  buildNonce,
+  isBitSet,
+  getInvalidationParams
+};
@@ -0,0 +1,280 @@
+/**
+ * Typed Data Payload Helper Functions for Permit2 on Tron
+ *
+ * These helper functions build wallet-ready `{ domain, types, primaryType, message }`
+ * payloads for every Permit2 message type, suitable for
+ * `tronWeb.trx._signTypedData(domain, types, message)` so wallets such as TronLink
+ * can show a readable signing prompt. The payloads hash to the same digest as the
+ * manual helpers in permit-helpers.js.
+ */
+
+const addressHelpers = require('./address-helpers');
+const domainHelpers = require('./domain-helpers');
+
+// TIP-712 struct definitions used by Permit2 (the EIP712Domain type is implied by the domain)
+const PERMIT2_TYPES = {
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ],
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PermitBatchTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions[]' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PermitDetails: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+  ],
+  PermitSingle: [
+    { name: 'details', type: 'PermitDetails' },
+    { name: 'spender', type: 'address' },
+    { name: 'sigDeadline', type: 'uint256' }
+  ],
+  PermitBatch: [
+    { name: 'details', type: 'PermitDetails[]' },
+    { name: 'spender', type: 'address' },
+    { name: 'sigDeadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Builds the Permit2 TIP-712 domain
+ * @param {number|string|bigint} chainId - Chain ID, masked to 32 bits
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Domain with name, chainId and verifyingContract
+ */
+function buildDomain(chainId, permit2Address) {
+  return {
+    name: 'Permit2',
+    chainId: domainHelpers.maskChainId(chainId),
+    verifyingContract: addressHelpers.toTronHex(permit2Address)
+  };
+}
+
+/**
+ * Converts a struct value into a wallet-ready message (hex addresses, string integers)
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} type - Type of value
+ * @param {*} value - Value to convert
+ * @returns {*} Converted value
+ */
+function formatMessageValue(types, type, value) {
+  const arrayMatch = type.match(/^(.*)\[\d*\]$/);
+  if (arrayMatch) {
+    return value.map(element => formatMessageValue(types, arrayMatch[1], element));
+  }
+
+  if (types[type]) {
+    const message = {};
+    for (const field of types[type]) {
+      message[field.name] = formatMessageValue(types, field.type, value[field.name]);
+    }
+    return message;
+  }
+
+  if (type === 'address') {
+    return addressHelpers.toTronHex(value);
+  }
+
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    return value.toString();
+  }
+
+  return value;
+}
+
+/**
+ * Picks the type definitions needed for primaryType from a types map
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Root type of the payload
+ * @param {Object} picked - Accumulator of picked types
+ * @returns {Object} Types map containing primaryType and its dependencies only
+ */
+function pickTypes(types, primaryType, picked = {}) {
+  const baseType = primaryType.replace(/(\[\d*\])+$/, '');
+  if (picked[baseType] || !types[baseType]) {
+    return picked;
+  }
+
+  picked[baseType] = types[baseType];
+  for (const field of types[baseType]) {
+    pickTypes(types, field.type, picked);
+  }
+
+  return picked;
+}
+
+/**
+ * Builds a payload for a Permit2 type from its message object
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Root type of the payload
+ * @param {Object} value - Message value keyed by field name
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPayload(types, primaryType, value, chainId, permit2Address) {
+  const payloadTypes = pickTypes(types, primaryType);
+
+  return {
+    domain: buildDomain(chainId, permit2Address),
+    types: payloadTypes,
+    primaryType: primaryType,
+    message: formatMessageValue(payloadTypes, primaryType, value)
+  };
+}
+
+/**
+ * Builds the typed data payload for permitTransferFrom
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Permit object from createPermit
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitTransferFromPayload(tronWeb, permit, chainId, permit2Address) {
+  return buildPayload(PERMIT2_TYPES, 'PermitTransferFrom', permit, chainId, permit2Address);
+}
+
+/**
+ * Builds the typed data payload for the batch permitTransferFrom
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitBatchTransferFromPayload(tronWeb, permit, chainId, permit2Address) {
+  return buildPayload(PERMIT2_TYPES, 'PermitBatchTransferFrom', permit, chainId, permit2Address);
+}
+
+/**
+ * Builds the types map for a witness permit, adding the witness field to the permit type
+ * @param {string} permitType - Base permit type (PermitTransferFrom or PermitBatchTransferFrom)
+ * @param {string} witnessPermitType - Witness permit type name
+ * @param {Object} witness - Witness description with types and primaryType
+ * @returns {Object} Types map including the witness types
+ */
+function buildWitnessTypes(permitType, witnessPermitType, witness) {
+  return {
+    ...witness.types,
+    TokenPermissions: PERMIT2_TYPES.TokenPermissions,
+    [witnessPermitType]: [
+      ...PERMIT2_TYPES[permitType],
+      { name: 'witness', type: witness.primaryType }
+    ]
+  };
+}
+
+/**
+ * Builds the typed data payload for permitWitnessTransferFrom
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Permit object from createPermit
+ * @param {Object} witness - Witness description
+ * @param {Object} witness.types - Witness struct types (witness type and its dependencies)
+ * @param {string} witness.primaryType - Struct type of the witness
+ * @param {Object} witness.data - Witness struct value keyed by field name
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitWitnessTransferFromPayload(tronWeb, permit, witness, chainId, permit2Address) {
+  const types = buildWitnessTypes('PermitTransferFrom', 'PermitWitnessTransferFrom', witness);
+  return buildPayload(
+    types,
+    'PermitWitnessTransferFrom',
+    { ...permit, witness: witness.data },
+    chainId,
+    permit2Address
+  );
+}
+
+/**
+ * Builds the typed data payload for the batch permitWitnessTransferFrom
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+ * @param {Object} witness - Witness description
+ * @param {Object} witness.types - Witness struct types (witness type and its dependencies)
+ * @param {string} witness.primaryType - Struct type of the witness
+ * @param {Object} witness.data - Witness struct value keyed by field name
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitBatchWitnessTransferFromPayload(tronWeb, permit, witness, chainId, permit2Address) {
+  const types = buildWitnessTypes('PermitBatchTransferFrom', 'PermitBatchWitnessTransferFrom', witness);
+  return buildPayload(
+    types,
+    'PermitBatchWitnessTransferFrom',
+    { ...permit, witness: witness.data },
+    chainId,
+    permit2Address
+  );
+}
+
+/**
+ * Builds the typed data payload for permit with a PermitSingle
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permitSingle - PermitSingle object from createPermitSingle
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitSinglePayload(tronWeb, permitSingle, chainId, permit2Address) {
+  return buildPayload(PERMIT2_TYPES, 'PermitSingle', permitSingle, chainId, permit2Address);
+}
+
+/**
+ * Builds the typed data payload for permit with a PermitBatch
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permitBatch - PermitBatch object from createPermitBatch
+ * @param {number|string|bigint} chainId - Chain ID
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @returns {Object} Payload with domain, types, primaryType and message
+ */
+function buildPermitBatchPayload(tronWeb, permitBatch, chainId, permit2Address) {
+  return buildPayload(PERMIT2_TYPES, 'PermitBatch', permitBatch, chainId, permit2Address);
+}
+
+/**
+ * Computes the digest a wallet will sign for a payload
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} payload - Payload from one of the build*Payload helpers
+ * @returns {string} Final hash (bytes32)
+ */
+function hashPayload(tronWeb, payload) {
+  return tronWeb.utils._TypedDataEncoder.hash(payload.domain, payload.types, payload.message);
+}
+
+/**
+ * Asks the TronWeb instance (or injected wallet) to sign a payload
+ * @param {Object} tronWeb - TronWeb instance, e.g. the one injected by TronLink
+ * @param {Object} payload - Payload from one of the build*Payload helpers
+ * @returns {Promise<string>} Signature
+ */
+async function signPayload(tronWeb, payload) {
+  return tronWeb.trx._signTypedData(payload.domain, payload.types, payload.message);
+}
+
+module.exports = {
+  PERMIT2_TYPES,
+  buildDomain,
+  buildPermitTransferFromPayload,
+  buildPermitBatchTransferFromPayload,
+  buildPermitWitnessTransferFromPayload,
+  buildPermitBatchWitnessTransferFromPayload,
+  buildPermitSinglePayload,
+  buildPermitBatchPayload,
+  hashPayload,
+  signPayload
+};
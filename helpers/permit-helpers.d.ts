@@ -0,0 +1,133 @@
+/**
+ * Type declarations for permit-helpers.js
+ */
+
+import type {
+  Address,
+  AllowanceTransferDetails,
+  BuildOptions,
+  Bytes32,
+  PermitBatch,
+  PermitBatchTransferFrom,
+  PermitDetails,
+  PermitHash,
+  PermitSingle,
+  PermitTransferFrom,
+  SignatureTransferDetails,
+  TokenPermissions,
+  TokenSpenderPair,
+  TronWebInstance,
+  TypedDataTypes,
+  Uint
+} from './permit2-types';
+
+export * from './permit2-types';
+
+// ===== Builders (validate their input and throw ValidationError) =====
+
+export function createPermit(
+  token: Address,
+  amount: Uint,
+  spender: Address,
+  nonce: Uint,
+  deadline: Uint,
+  options?: BuildOptions
+): PermitTransferFrom;
+
+export function createTokenPermissions(token: Address, amount: Uint): TokenPermissions;
+
+export function createPermitBatchTransferFrom(
+  permitted: TokenPermissions[],
+  spender: Address,
+  nonce: Uint,
+  deadline: Uint,
+  options?: BuildOptions
+): PermitBatchTransferFrom;
+
+export function createTransferDetails(to: Address, requestedAmount: Uint): SignatureTransferDetails;
+
+export function createAllowanceTransferDetails(from: Address, to: Address, amount: Uint, token: Address): AllowanceTransferDetails;
+
+export function createTokenSpenderPair(token: Address, spender: Address): TokenSpenderPair;
+
+export function createPermitDetails(token: Address, amount: Uint, expiration: Uint, nonce: Uint): PermitDetails;
+
+export function createPermitSingle(
+  token: Address,
+  amount: Uint,
+  expiration: Uint,
+  nonce: Uint,
+  spender: Address,
+  sigDeadline: Uint,
+  options?: BuildOptions
+): PermitSingle;
+
+export function createPermitBatch(details: PermitDetails[], spender: Address, sigDeadline: Uint, options?: BuildOptions): PermitBatch;
+
+// ===== Hashes (ready for signing) =====
+
+export function getPermitTransferFromHash(tronWeb: TronWebInstance, permit: PermitTransferFrom, domainSeparator: Bytes32): PermitHash;
+
+export function getPermitBatchTransferFromHash(
+  tronWeb: TronWebInstance,
+  permit: PermitBatchTransferFrom,
+  domainSeparator: Bytes32
+): PermitHash;
+
+export function getPermitSingleHash(tronWeb: TronWebInstance, permitSingle: PermitSingle, domainSeparator: Bytes32): PermitHash;
+
+export function getPermitBatchHash(tronWeb: TronWebInstance, permitBatch: PermitBatch, domainSeparator: Bytes32): PermitHash;
+
+export function getPermitWitnessTransferFromHash(
+  tronWeb: TronWebInstance,
+  permit: PermitTransferFrom,
+  witness: Bytes32,
+  witnessTypeString: string,
+  msgSender: Address,
+  domainSeparator: Bytes32
+): PermitHash;
+
+export function getPermitBatchWitnessTransferFromHash(
+  tronWeb: TronWebInstance,
+  permit: PermitBatchTransferFrom,
+  witness: Bytes32,
+  witnessTypeString: string,
+  msgSender: Address,
+  domainSeparator: Bytes32
+): PermitHash;
+
+// ===== Witnesses =====
+
+/** Hashes a value or an object of uint256 fields; a 0x string is returned as is */
+export function createWitnessHash(tronWeb: TronWebInstance, witnessData: Uint | Record<string, Uint>): Bytes32;
+
+export function createTypedWitness(
+  tronWeb: TronWebInstance,
+  types: TypedDataTypes,
+  witnessType: string,
+  witnessData: Record<string, unknown>
+): { witness: Bytes32; witnessTypeString: string };
+
+// ===== Contract call formatting (tuples in ABI order, addresses as 41-hex) =====
+
+export type TokenPermissionsTuple = [string, Uint];
+export type PermitDetailsTuple = [string, Uint, Uint, Uint];
+
+export function formatPermitForCall(permit: PermitTransferFrom): [TokenPermissionsTuple, Uint, Uint];
+
+export function formatTransferDetailsForCall(transferDetails: SignatureTransferDetails): [string, Uint];
+
+export function formatPermitBatchTransferFromForCall(permit: PermitBatchTransferFrom): [TokenPermissionsTuple[], Uint, Uint];
+
+export function formatBatchTransferDetailsForCall(transferDetails: SignatureTransferDetails[]): Array<[string, Uint]>;
+
+export function formatPermitSingleForCall(permitSingle: PermitSingle): [PermitDetailsTuple, string, Uint];
+
+export function formatPermitBatchForCall(permitBatch: PermitBatch): [PermitDetailsTuple[], string, Uint];
+
+export function formatAllowanceTransferDetailsForCall(transferDetails: AllowanceTransferDetails[]): Array<[string, string, Uint, string]>;
+
+export function formatTokenSpenderPairsForCall(pairs: TokenSpenderPair[]): Array<[string, string]>;
+
+/** Converts an address in any supported format to 41-hex */
+export function toHex(address: Address): string;
@@ -5,7 +5,10 @@
  * They focus on data preparation and hash generation, leaving signing to the caller.
  */
 
+const addressHelpers = require('./address-helpers');
 const hashHelpers = require('./hash-helpers');
+const typedDataHelpers = require('./typed-data-helpers');
+const validationHelpers = require('./validation-helpers');
 
 /**
  * Creates a properly formatted permit structure
@@ -14,9 +17,18 @@ const hashHelpers = require('./hash-helpers');
  * @param {string} spender - Address that will be permitted to spend
  * @param {number} nonce - Unique nonce for this permit
  * @param {number} deadline - Unix timestamp when permit expires
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowExpired - Accept a deadline in the past
  * @returns {Object} Formatted permit object
+ * @throws {ValidationError} If an address, amount, nonce or deadline is invalid
  */
-function createPermit(token, amount, spender, nonce, deadline) {
+function createPermit(token, amount, spender, nonce, deadline, options = {}) {
+  validationHelpers.validateAddress(token, 'token');
+  validationHelpers.validateUint(amount, 'uint256', 'amount');
+  validationHelpers.validateAddress(spender, 'spender');
+  validationHelpers.validateUint(nonce, 'uint256', 'nonce');
+  validationHelpers.validateDeadline(deadline, 'deadline', options);
+
   return {
     permitted: {
       token: token,
@@ -28,27 +40,115 @@ function createPermit(token, amount, spender, nonce, deadline) {
   };
 }
 
+/**
+ * Creates a token permissions structure for SignatureTransfer
+ * @param {string} token - Token address
+ * @param {string|number} amount - Maximum amount that can be transferred
+ * @returns {Object} Formatted token permissions
+ * @throws {ValidationError} If the token or amount is invalid
+ */
+function createTokenPermissions(token, amount) {
+  validationHelpers.validateAddress(token, 'token');
+  validationHelpers.validateUint(amount, 'uint256', 'amount');
+
+  return {
+    token: token,
+    amount: amount.toString()
+  };
+}
+
+/**
+ * Creates a properly formatted batch permit structure (PermitBatchTransferFrom)
+ * @param {Array<Object>} permitted - Array of token permissions from createTokenPermissions
+ * @param {string} spender - Address that will be permitted to spend
+ * @param {number} nonce - Unique nonce for this permit
+ * @param {number} deadline - Unix timestamp when permit expires
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowExpired - Accept a deadline in the past
+ * @returns {Object} Formatted batch permit object
+ * @throws {ValidationError} If a token permission, the spender, nonce or deadline is invalid
+ */
+function createPermitBatchTransferFrom(permitted, spender, nonce, deadline, options = {}) {
+  const permit = {
+    permitted: permitted,
+    spender: spender,
+    nonce: nonce,
+    deadline: deadline
+  };
+  validationHelpers.validatePermitTransferFrom(permit, options);
+
+  return permit;
+}
+
 /**
  * Creates transfer details structure
  * @param {string} to - Recipient address
  * @param {string|number} requestedAmount - Amount to transfer
  * @returns {Object} Formatted transfer details
+ * @throws {ValidationError} If the recipient or amount is invalid
  */
 function createTransferDetails(to, requestedAmount) {
+  validationHelpers.validateAddress(to, 'to');
+  validationHelpers.validateUint(requestedAmount, 'uint256', 'requestedAmount');
+
   return {
     to: to,
     requestedAmount: requestedAmount.toString()
   };
 }
 
+/**
+ * Creates allowance transfer details structure for the batch AllowanceTransfer.transferFrom
+ * @param {string} from - Owner of the tokens
+ * @param {string} to - Recipient address
+ * @param {string|number} amount - Amount to transfer (uint160)
+ * @param {string} token - Token address
+ * @returns {Object} Formatted allowance transfer details
+ * @throws {ValidationError} If an address or the amount is invalid
+ */
+function createAllowanceTransferDetails(from, to, amount, token) {
+  validationHelpers.validateAddress(from, 'from');
+  validationHelpers.validateAddress(to, 'to');
+  validationHelpers.validateUint(amount, 'uint160', 'amount');
+  validationHelpers.validateAddress(token, 'token');
+
+  return {
+    from: from,
+    to: to,
+    amount: amount.toString(),
+    token: token
+  };
+}
+
+/**
+ * Creates a token/spender pair for AllowanceTransfer.lockdown
+ * @param {string} token - Token address
+ * @param {string} spender - Spender address
+ * @returns {Object} Formatted token/spender pair
+ * @throws {ValidationError} If an address is invalid
+ */
+function createTokenSpenderPair(token, spender) {
+  validationHelpers.validateAddress(token, 'token');
+  validationHelpers.validateAddress(spender, 'spender');
+
+  return {
+    token: token,
+    spender: spender
+  };
+}
+
 /**
  * Generates the hash for permitTransferFrom (ready for signing)
  * @param {Object} tronWeb - TronWeb instance
  * @param {Object} permit - Permit object from createPermit
  * @param {string} domainSeparator - Domain separator from the contract
  * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
  */
 function getPermitTransferFromHash(tronWeb, permit, domainSeparator) {
+  // Expired permits still hash correctly, so only the format is checked
+  validationHelpers.validatePermitTransferFrom(permit, { deadline: false });
+
   // Type hashes
   const TOKEN_PERMISSIONS_TYPEHASH = '0x' + tronWeb.sha3('TokenPermissions(address token,uint256 amount)', false);
   const PERMIT_TRANSFER_FROM_TYPEHASH = '0x' + tronWeb.sha3(
@@ -65,9 +165,7 @@ function getPermitTransferFromHash(tronWeb, permit, domainSeparator) {
   );
   
   // Step 2: Convert spender to uint160 for encoding
-  const spenderHex = permit.spender.startsWith('0x') ? permit.spender : tronWeb.address.toHex(permit.spender);
-  const spenderWithout41 = '0x' + spenderHex.slice(2);
-  const spenderBigInt = BigInt(spenderWithout41).toString();
+  const spenderBigInt = addressHelpers.toUint160(permit.spender);
   
   // Step 3: Encode the permit struct
   const permitEncoded = tronWeb.utils.abi.encodeParams(
@@ -91,6 +189,55 @@ function getPermitTransferFromHash(tronWeb, permit, domainSeparator) {
   };
 }
 
+/**
+ * Generates the hash for the batch permitTransferFrom (ready for signing)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
+ */
+function getPermitBatchTransferFromHash(tronWeb, permit, domainSeparator) {
+  validationHelpers.validatePermitTransferFrom(permit, { deadline: false });
+
+  // Type hashes
+  const TOKEN_PERMISSIONS_TYPEHASH = '0x' + tronWeb.sha3('TokenPermissions(address token,uint256 amount)', false);
+  const PERMIT_BATCH_TRANSFER_FROM_TYPEHASH = '0x' + tronWeb.sha3(
+    'PermitBatchTransferFrom(TokenPermissions[] permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)',
+    false
+  );
+  
+  // Step 1: Hash each token permissions entry, then hash the packed array
+  const tokenPermissionsHashes = permit.permitted.map(permitted =>
+    hashHelpers.hashTokenPermissions(tronWeb, permitted.token, permitted.amount, TOKEN_PERMISSIONS_TYPEHASH)
+  );
+  const tokenPermissionsArrayHash = hashHelpers.hashArray(tronWeb, tokenPermissionsHashes);
+  
+  // Step 2: Convert spender (msg.sender) to uint160 for encoding
+  const spenderBigInt = addressHelpers.toUint160(permit.spender);
+  
+  // Step 3: Encode the permit struct
+  const permitEncoded = tronWeb.utils.abi.encodeParams(
+    ['bytes32', 'bytes32', 'uint160', 'uint256', 'uint256'],
+    [PERMIT_BATCH_TRANSFER_FROM_TYPEHASH, tokenPermissionsArrayHash, spenderBigInt, permit.nonce, permit.deadline]
+  );
+  
+  // Step 4: Hash the encoded struct
+  const structHash = tronWeb.utils.ethersUtils.keccak256(permitEncoded);
+  
+  // Step 5: Create final hash using TIP-712
+  const finalHash = hashHelpers.hashTypedData(
+    tronWeb,
+    domainSeparator,
+    structHash
+  );
+  
+  return {
+    structHash: structHash,
+    finalHash: finalHash
+  };
+}
+
 /**
  * Formats permit object for contract call
  * @param {Object} permit - Permit object
@@ -98,7 +245,7 @@ function getPermitTransferFromHash(tronWeb, permit, domainSeparator) {
  */
 function formatPermitForCall(permit) {
   return [
-    [permit.permitted.token, permit.permitted.amount],
+    [addressHelpers.toTronHex(permit.permitted.token), permit.permitted.amount],
     permit.nonce,
     permit.deadline
   ];
@@ -110,17 +257,268 @@ function formatPermitForCall(permit) {
  * @returns {Array} Formatted array for TronWeb contract call
  */
 function formatTransferDetailsForCall(transferDetails) {
-  return [transferDetails.to, transferDetails.requestedAmount];
+  return [addressHelpers.toTronHex(transferDetails.to), transferDetails.requestedAmount];
 }
 
 /**
- * Helper to convert address to hex format
- * @param {string} address - Tron address
+ * Creates a properly formatted PermitDetails structure for AllowanceTransfer
+ * @param {string} token - Token address
+ * @param {string|number} amount - Allowance amount (uint160)
+ * @param {number} expiration - Unix timestamp when the allowance expires (uint48)
+ * @param {number} nonce - Current allowance nonce for owner/token/spender (uint48)
+ * @returns {Object} Formatted PermitDetails object
+ * @throws {ValidationError} If the token, amount, expiration or nonce is invalid
+ */
+function createPermitDetails(token, amount, expiration, nonce) {
+  const details = {
+    token: token,
+    amount: amount.toString(),
+    expiration: expiration,
+    nonce: nonce
+  };
+  validationHelpers.validatePermitDetails(details, 'details');
+
+  return details;
+}
+
+/**
+ * Creates a properly formatted PermitSingle structure for AllowanceTransfer.permit
+ * @param {string} token - Token address
+ * @param {string|number} amount - Allowance amount (uint160)
+ * @param {number} expiration - Unix timestamp when the allowance expires (uint48)
+ * @param {number} nonce - Current allowance nonce for owner/token/spender (uint48)
+ * @param {string} spender - Address that will be granted the allowance
+ * @param {number} sigDeadline - Unix timestamp when the signature expires
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowExpired - Accept a sigDeadline in the past
+ * @returns {Object} Formatted PermitSingle object
+ * @throws {ValidationError} If a detail, the spender or sigDeadline is invalid
+ */
+function createPermitSingle(token, amount, expiration, nonce, spender, sigDeadline, options = {}) {
+  const permitSingle = {
+    details: createPermitDetails(token, amount, expiration, nonce),
+    spender: spender,
+    sigDeadline: sigDeadline
+  };
+  validationHelpers.validateAllowancePermit(permitSingle, options);
+
+  return permitSingle;
+}
+
+/**
+ * Creates a properly formatted PermitBatch structure for AllowanceTransfer.permit
+ * @param {Array<Object>} details - Array of PermitDetails objects from createPermitDetails
+ * @param {string} spender - Address that will be granted the allowances
+ * @param {number} sigDeadline - Unix timestamp when the signature expires
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowExpired - Accept a sigDeadline in the past
+ * @returns {Object} Formatted PermitBatch object
+ * @throws {ValidationError} If a detail, the spender or sigDeadline is invalid
+ */
+function createPermitBatch(details, spender, sigDeadline, options = {}) {
+  const permitBatch = {
+    details: details,
+    spender: spender,
+    sigDeadline: sigDeadline
+  };
+  validationHelpers.validateAllowancePermit(permitBatch, options);
+
+  return permitBatch;
+}
+
+/**
+ * Generates the hash for permit with a PermitSingle (ready for signing)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permitSingle - PermitSingle object from createPermitSingle
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
+ */
+function getPermitSingleHash(tronWeb, permitSingle, domainSeparator) {
+  validationHelpers.validateAllowancePermit(permitSingle, { deadline: false });
+
+  // Type hashes
+  const PERMIT_DETAILS_TYPEHASH = '0x' + tronWeb.sha3(
+    'PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+    false
+  );
+  const PERMIT_SINGLE_TYPEHASH = '0x' + tronWeb.sha3(
+    'PermitSingle(PermitDetails details,address spender,uint256 sigDeadline)PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+    false
+  );
+  
+  // Step 1: Hash permit details
+  const permitDetailsHash = hashHelpers.hashPermitDetails(
+    tronWeb,
+    permitSingle.details,
+    PERMIT_DETAILS_TYPEHASH
+  );
+  
+  // Step 2: Convert spender to uint160 for encoding
+  const spenderBigInt = addressHelpers.toUint160(permitSingle.spender);
+  
+  // Step 3: Encode the permit struct
+  const permitEncoded = tronWeb.utils.abi.encodeParams(
+    ['bytes32', 'bytes32', 'uint160', 'uint256'],
+    [PERMIT_SINGLE_TYPEHASH, permitDetailsHash, spenderBigInt, permitSingle.sigDeadline]
+  );
+  
+  // Step 4: Hash the encoded struct
+  const structHash = tronWeb.utils.ethersUtils.keccak256(permitEncoded);
+  
+  // Step 5: Create final hash using TIP-712
+  const finalHash = hashHelpers.hashTypedData(
+    tronWeb,
+    domainSeparator,
+    structHash
+  );
+  
+  return {
+    structHash: structHash,
+    finalHash: finalHash
+  };
+}
+
+/**
+ * Generates the hash for permit with a PermitBatch (ready for signing)
  * @param {Object} tronWeb - TronWeb instance
- * @returns {string} Hex formatted address
+ * @param {Object} permitBatch - PermitBatch object from createPermitBatch
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
+ */
+function getPermitBatchHash(tronWeb, permitBatch, domainSeparator) {
+  validationHelpers.validateAllowancePermit(permitBatch, { deadline: false });
+
+  // Type hashes
+  const PERMIT_DETAILS_TYPEHASH = '0x' + tronWeb.sha3(
+    'PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+    false
+  );
+  const PERMIT_BATCH_TYPEHASH = '0x' + tronWeb.sha3(
+    'PermitBatch(PermitDetails[] details,address spender,uint256 sigDeadline)PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+    false
+  );
+  
+  // Step 1: Hash each permit details entry, then hash the packed array
+  const permitDetailsHashes = permitBatch.details.map(details =>
+    hashHelpers.hashPermitDetails(tronWeb, details, PERMIT_DETAILS_TYPEHASH)
+  );
+  const permitDetailsArrayHash = hashHelpers.hashArray(tronWeb, permitDetailsHashes);
+  
+  // Step 2: Convert spender to uint160 for encoding
+  const spenderBigInt = addressHelpers.toUint160(permitBatch.spender);
+  
+  // Step 3: Encode the permit struct
+  const permitEncoded = tronWeb.utils.abi.encodeParams(
+    ['bytes32', 'bytes32', 'uint160', 'uint256'],
+    [PERMIT_BATCH_TYPEHASH, permitDetailsArrayHash, spenderBigInt, permitBatch.sigDeadline]
+  );
+  
+  // Step 4: Hash the encoded struct
+  const structHash = tronWeb.utils.ethersUtils.keccak256(permitEncoded);
+  
+  // Step 5: Create final hash using TIP-712
+  const finalHash = hashHelpers.hashTypedData(
+    tronWeb,
+    domainSeparator,
+    structHash
+  );
+  
+  return {
+    structHash: structHash,
+    finalHash: finalHash
+  };
+}
+
+/**
+ * Formats batch permit object for contract call
+ * @param {Object} permit - Batch permit object
+ * @returns {Array} Formatted array for TronWeb contract call
  */
-function toHex(address, tronWeb) {
-  return address.startsWith('0x') ? address : tronWeb.address.toHex(address);
+function formatPermitBatchTransferFromForCall(permit) {
+  return [
+    permit.permitted.map(permitted => [addressHelpers.toTronHex(permitted.token), permitted.amount]),
+    permit.nonce,
+    permit.deadline
+  ];
+}
+
+/**
+ * Formats an array of transfer details for the batch contract calls
+ * @param {Array<Object>} transferDetails - Array of transfer details objects
+ * @returns {Array} Formatted array for TronWeb contract call
+ */
+function formatBatchTransferDetailsForCall(transferDetails) {
+  return transferDetails.map(formatTransferDetailsForCall);
+}
+
+/**
+ * Formats PermitSingle object for contract call
+ * @param {Object} permitSingle - PermitSingle object
+ * @returns {Array} Formatted array for TronWeb contract call
+ */
+function formatPermitSingleForCall(permitSingle) {
+  return [
+    [
+      addressHelpers.toTronHex(permitSingle.details.token),
+      permitSingle.details.amount,
+      permitSingle.details.expiration,
+      permitSingle.details.nonce
+    ],
+    addressHelpers.toTronHex(permitSingle.spender),
+    permitSingle.sigDeadline
+  ];
+}
+
+/**
+ * Formats PermitBatch object for contract call
+ * @param {Object} permitBatch - PermitBatch object
+ * @returns {Array} Formatted array for TronWeb contract call
+ */
+function formatPermitBatchForCall(permitBatch) {
+  return [
+    permitBatch.details.map(details => [
+      addressHelpers.toTronHex(details.token),
+      details.amount,
+      details.expiration,
+      details.nonce
+    ]),
+    addressHelpers.toTronHex(permitBatch.spender),
+    permitBatch.sigDeadline
+  ];
+}
+
+/**
+ * Formats an array of allowance transfer details for contract call
+ * @param {Array<Object>} transferDetails - Array of allowance transfer details objects
+ * @returns {Array} Formatted array for TronWeb contract call
+ */
+function formatAllowanceTransferDetailsForCall(transferDetails) {
+  return transferDetails.map(details => [
+    addressHelpers.toTronHex(details.from),
+    addressHelpers.toTronHex(details.to),
+    details.amount,
+    addressHelpers.toTronHex(details.token)
+  ]);
+}
+
+/**
+ * Formats an array of token/spender pairs for contract call
+ * @param {Array<Object>} pairs - Array of token/spender pair objects
+ * @returns {Array} Formatted array for TronWeb contract call
+ */
+function formatTokenSpenderPairsForCall(pairs) {
+  return pairs.map(pair => [addressHelpers.toTronHex(pair.token), addressHelpers.toTronHex(pair.spender)]);
+}
+
+/**
+ * Helper to convert address to hex format
+ * @param {string} address - Address as base58, 41-hex, 0x41-hex or 0x-hex (20 bytes)
+ * @returns {string} 41-prefixed hex address (see addressHelpers.toTronHex)
+ */
+function toHex(address) {
+  return addressHelpers.toTronHex(address);
 }
 
 /**
@@ -132,6 +530,7 @@ function toHex(address, tronWeb) {
  * @param {string} msgSender - Address that will call permitWitnessTransferFrom
  * @param {string} domainSeparator - Domain separator from the contract
  * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
  */
 function getPermitWitnessTransferFromHash(tronWeb, permit, witness, witnessTypeString, msgSender, domainSeparator) {
   // Use hashWithWitness from hash-helpers to create the struct hash
@@ -156,8 +555,45 @@ function getPermitWitnessTransferFromHash(tronWeb, permit, witness, witnessTypeS
   };
 }
 
+/**
+ * Generates the hash for the batch permitWitnessTransferFrom (ready for signing)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+ * @param {string} witness - Witness hash (bytes32)
+ * @param {string} witnessTypeString - Witness type string (e.g., "ExtraData(uint256 value)")
+ * @param {string} msgSender - Address that will call permitWitnessTransferFrom
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @returns {Object} Object containing structHash and finalHash
+ * @throws {ValidationError} If the permit has an invalid address or an out-of-range value
+ */
+function getPermitBatchWitnessTransferFromHash(tronWeb, permit, witness, witnessTypeString, msgSender, domainSeparator) {
+  // Use hashBatchWithWitness from hash-helpers to create the struct hash
+  const structHash = hashHelpers.hashBatchWithWitness(
+    tronWeb,
+    permit,
+    witness,
+    witnessTypeString,
+    msgSender
+  );
+  
+  // Create final hash using TIP-712
+  const finalHash = hashHelpers.hashTypedData(
+    tronWeb,
+    domainSeparator,
+    structHash
+  );
+  
+  return {
+    structHash: structHash,
+    finalHash: finalHash
+  };
+}
+
 /**
  * Helper to create witness hash from witness data
+ * 
+ * Object fields are all encoded as uint256 and no type hash is included, so the result
+ * is not a TIP-712 struct hash. Use createTypedWitness for real witness structs.
  * @param {Object} tronWeb - TronWeb instance
  * @param {*} witnessData - Witness data (can be a value or object)
  * @returns {string} Witness hash (bytes32)
@@ -185,13 +621,46 @@ function createWitnessHash(tronWeb, witnessData) {
   throw new Error('Invalid witness data type');
 }
 
+/**
+ * Creates a TIP-712 witness hash and the matching witnessTypeString from typed witness data
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} types - Map of type name to array of { name, type } fields (witness type and its dependencies)
+ * @param {string} witnessType - Struct type of the witness (e.g., "ExtraData")
+ * @param {Object} witnessData - Witness struct value keyed by field name
+ * @returns {Object} Object containing witness (bytes32) and witnessTypeString
+ */
+function createTypedWitness(tronWeb, types, witnessType, witnessData) {
+  return {
+    witness: typedDataHelpers.hashStruct(tronWeb, types, witnessType, witnessData),
+    witnessTypeString: typedDataHelpers.getWitnessTypeString(types, witnessType)
+  };
+}
+
 module.exports = {
   createPermit,
   createTransferDetails,
+  createTokenPermissions,
+  createPermitBatchTransferFrom,
+  createPermitDetails,
+  createPermitSingle,
+  createPermitBatch,
+  createAllowanceTransferDetails,
+  createTokenSpenderPair,
   getPermitTransferFromHash,
+  getPermitBatchTransferFromHash,
+  getPermitSingleHash,
+  getPermitBatchHash,
   getPermitWitnessTransferFromHash,
+  getPermitBatchWitnessTransferFromHash,
   createWitnessHash,
+  createTypedWitness,
   formatPermitForCall,
   formatTransferDetailsForCall,
+  formatPermitBatchTransferFromForCall,
+  formatBatchTransferDetailsForCall,
+  formatPermitSingleForCall,
+  formatPermitBatchForCall,
+  formatAllowanceTransferDetailsForCall,
+  formatTokenSpenderPairsForCall,
   toHex
 };
@@ -0,0 +1,565 @@
+/**
+ * Permit2 Client for Tron
+ *
+ * Wraps a deployed Permit2 contract behind typed methods for every external
+ * function in IPermit2. Hashing, signing, address conversion and fee limits are
+ * handled internally, so callers work with the permit objects from
+ * permit-helpers.js instead of raw contract calls.
+ */
+
+const PERMIT2_ABI = require('../abi/Permit2.json');
+const addressHelpers = require('./address-helpers');
+const permitHelpers = require('./permit-helpers');
+const signerHelpers = require('./signer-helpers');
+const validationHelpers = require('./validation-helpers');
+const domainHelpers = require('./domain-helpers');
+const { UnorderedNonceManager } = require('./nonce-manager');
+const { AllowanceClient } = require('./allowance-client');
+const errors = require('./errors');
+const simulation = require('./simulation');
+const feeEstimator = require('./fee-estimator');
+
+// Default fee limit in SUN (matches tronbox-config.js)
+const DEFAULT_FEE_LIMIT = 1000 * 1e6;
+
+// Full signatures of the overloaded IPermit2 functions
+const METHOD_SIGNATURES = {
+  permitSingle: 'permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)',
+  permitBatch: 'permit(address,((address,uint160,uint48,uint48)[],address,uint256),bytes)',
+  transferFrom: 'transferFrom(address,address,uint160,address)',
+  batchTransferFrom: 'transferFrom((address,address,uint160,address)[])',
+  permitTransferFrom: 'permitTransferFrom(((address,uint256),uint256,uint256),(address,uint256),address,bytes)',
+  permitBatchTransferFrom: 'permitTransferFrom(((address,uint256)[],uint256,uint256),(address,uint256)[],address,bytes)',
+  permitWitnessTransferFrom: 'permitWitnessTransferFrom(((address,uint256),uint256,uint256),(address,uint256),address,bytes32,string,bytes)',
+  permitBatchWitnessTransferFrom: 'permitWitnessTransferFrom(((address,uint256)[],uint256,uint256),(address,uint256)[],address,bytes32,string,bytes)'
+};
+
+class Permit2Client {
+  /**
+   * @param {Object} tronWeb - TronWeb instance that sends transactions (msg.sender)
+   * @param {string} permit2Address - Address of the Permit2 contract
+   * @param {Object} options - Client options
+   * @param {string|Object|Function} options.signer - Signer source for createSigner (defaults to tronWeb's private key)
+   * @param {number|string} options.feeLimit - Fee limit in SUN for sends (default 1000 TRX), or 'auto' to estimate it per call
+   * @param {number} options.feeMargin - Safety margin in percent on estimated fee limits (default 20)
+   * @param {number} options.chainId - Chain ID to compute the domain separator offline instead of calling the contract
+   */
+  constructor(tronWeb, permit2Address, options = {}) {
+    this.tronWeb = tronWeb;
+    this.address = permit2Address;
+    this.contract = tronWeb.contract(PERMIT2_ABI, permit2Address);
+    this.feeLimit = options.feeLimit || DEFAULT_FEE_LIMIT;
+    this.feeMargin = options.feeMargin;
+    this.chainId = options.chainId;
+    this.signer = options.signer
+      ? signerHelpers.createSigner(tronWeb, options.signer)
+      : (tronWeb.defaultPrivateKey ? signerHelpers.createSigner(tronWeb, tronWeb) : null);
+    this.nonces = new UnorderedNonceManager(this.contract);
+    this.allowances = new AllowanceClient(this.contract);
+    this._domainSeparator = null;
+  }
+
+  /**
+   * Address that sends transactions through this client (msg.sender)
+   * @returns {string} Base58 address
+   */
+  get sender() {
+    return this.tronWeb.defaultAddress.base58;
+  }
+
+  /**
+   * Returns the domain separator, computed offline when a chainId was given, else read once from the contract
+   * @returns {Promise<string>} Domain separator
+   */
+  async getDomainSeparator() {
+    if (!this._domainSeparator) {
+      this._domainSeparator = this.chainId !== undefined
+        ? domainHelpers.computeDomainSeparator(this.chainId, this.address)
+        : await this.contract.DOMAIN_SEPARATOR().call();
+    }
+    return this._domainSeparator;
+  }
+
+  // ===== Reads =====
+
+  /**
+   * Fetches and decodes an allowance
+   * @param {string} owner - Token owner address
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @returns {Promise<Object>} Object containing amount, expiration, nonce and expired
+   */
+  async allowance(owner, token, spender) {
+    return this.allowances.getAllowance(owner, token, spender);
+  }
+
+  /**
+   * Reads a word of the unordered nonce bitmap
+   * @param {string} owner - Token owner address
+   * @param {number|string|bigint} wordPos - Word position in the bitmap
+   * @returns {Promise<bigint>} Bitmap word
+   */
+  async nonceBitmap(owner, wordPos) {
+    return this.nonces.getBitmap(owner, wordPos);
+  }
+
+  // ===== Signing =====
+
+  /**
+   * Signs any Permit2 message with the client's signer
+   * @param {string} messageType - One of signerHelpers.MESSAGE_TYPES
+   * @param {Object} message - Permit object from the matching create* helper
+   * @param {Object} options - Signing options (compact, witness, witnessTypeString)
+   * @returns {Promise<string>} Signature
+   */
+  async sign(messageType, message, options = {}) {
+    if (!this.signer) {
+      throw new Error('Permit2Client has no signer: pass options.signer or use a TronWeb instance with a private key');
+    }
+    const domainSeparator = await this.getDomainSeparator();
+    return signerHelpers.signPermit(this.tronWeb, this.signer, messageType, message, domainSeparator, options);
+  }
+
+  async signPermitSingle(permitSingle, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_SINGLE, permitSingle, options);
+  }
+
+  async signPermitBatch(permitBatch, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_BATCH, permitBatch, options);
+  }
+
+  async signPermitTransferFrom(permit, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM, permit, options);
+  }
+
+  async signPermitBatchTransferFrom(permit, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM, permit, options);
+  }
+
+  async signPermitWitnessTransferFrom(permit, witness, witnessTypeString, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM, permit, {
+      ...options,
+      witness,
+      witnessTypeString
+    });
+  }
+
+  async signPermitBatchWitnessTransferFrom(permit, witness, witnessTypeString, options = {}) {
+    return this.sign(signerHelpers.MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM, permit, {
+      ...options,
+      witness,
+      witnessTypeString
+    });
+  }
+
+  // ===== AllowanceTransfer =====
+
+  /**
+   * Approves spender to transfer up to amount of token until expiration
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {string|number} amount - Allowance amount (uint160)
+   * @param {number} expiration - Unix timestamp when the allowance expires (uint48)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async approve(token, spender, amount, expiration, sendOptions = {}) {
+    return this._send('approve', [this._toHex(token), this._toHex(spender), amount.toString(), expiration], sendOptions);
+  }
+
+  /**
+   * Sets an allowance with a signed PermitSingle (signs with the client's signer when no signature is given)
+   * @param {string} owner - Owner that signed the permit
+   * @param {Object} permitSingle - PermitSingle object from createPermitSingle
+   * @param {string} signature - Owner's signature (optional)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permit(owner, permitSingle, signature, sendOptions = {}) {
+    const permitSignature = signature || await this.signPermitSingle(permitSingle);
+    return this._send(
+      METHOD_SIGNATURES.permitSingle,
+      [this._toHex(owner), permitHelpers.formatPermitSingleForCall(permitSingle), permitSignature],
+      sendOptions,
+      () => this._checkAllowancePermit(
+        signerHelpers.MESSAGE_TYPES.PERMIT_SINGLE, permitSingle, [permitSingle.details], owner, permitSignature
+      )
+    );
+  }
+
+  /**
+   * Sets several allowances with a signed PermitBatch (signs with the client's signer when no signature is given)
+   * @param {string} owner - Owner that signed the permit
+   * @param {Object} permitBatch - PermitBatch object from createPermitBatch
+   * @param {string} signature - Owner's signature (optional)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permitBatch(owner, permitBatch, signature, sendOptions = {}) {
+    const permitSignature = signature || await this.signPermitBatch(permitBatch);
+    return this._send(
+      METHOD_SIGNATURES.permitBatch,
+      [this._toHex(owner), permitHelpers.formatPermitBatchForCall(permitBatch), permitSignature],
+      sendOptions,
+      () => this._checkAllowancePermit(
+        signerHelpers.MESSAGE_TYPES.PERMIT_BATCH, permitBatch, permitBatch.details, owner, permitSignature
+      )
+    );
+  }
+
+  /**
+   * Transfers tokens from an owner using the caller's allowance
+   * @param {string} from - Token owner address
+   * @param {string} to - Recipient address
+   * @param {string|number} amount - Amount to transfer (uint160)
+   * @param {string} token - Token address
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async transferFrom(from, to, amount, token, sendOptions = {}) {
+    return this._send(
+      METHOD_SIGNATURES.transferFrom,
+      [this._toHex(from), this._toHex(to), amount.toString(), this._toHex(token)],
+      sendOptions
+    );
+  }
+
+  /**
+   * Transfers several tokens using the caller's allowances
+   * @param {Array<Object>} transferDetails - Array from createAllowanceTransferDetails
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async batchTransferFrom(transferDetails, sendOptions = {}) {
+    return this._send(
+      METHOD_SIGNATURES.batchTransferFrom,
+      [permitHelpers.formatAllowanceTransferDetailsForCall(transferDetails)],
+      sendOptions
+    );
+  }
+
+  /**
+   * Revokes the caller's allowances for token/spender pairs
+   * @param {Array<Object>} pairs - Array from createTokenSpenderPair
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async lockdown(pairs, sendOptions = {}) {
+    return this._send('lockdown', [permitHelpers.formatTokenSpenderPairsForCall(pairs)], sendOptions);
+  }
+
+  /**
+   * Invalidates the caller's ordered nonces for token/spender up to newNonce
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {number} newNonce - New nonce, must be greater than the current one
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async invalidateNonces(token, spender, newNonce, sendOptions = {}) {
+    return this._send('invalidateNonces', [this._toHex(token), this._toHex(spender), newNonce], sendOptions);
+  }
+
+  // ===== SignatureTransfer =====
+
+  /**
+   * Transfers tokens with a signed PermitTransferFrom (the client's sender must be permit.spender)
+   * @param {Object} permit - Permit object from createPermit
+   * @param {Object} transferDetails - Transfer details from createTransferDetails
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} signature - Owner's signature (optional, signs with the client's signer)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permitTransferFrom(permit, transferDetails, owner, signature, sendOptions = {}) {
+    this._validateTransferDetails(permit, transferDetails, sendOptions);
+    const permitSignature = signature || await this.signPermitTransferFrom(permit);
+    return this._send(
+      METHOD_SIGNATURES.permitTransferFrom,
+      [
+        permitHelpers.formatPermitForCall(permit),
+        permitHelpers.formatTransferDetailsForCall(transferDetails),
+        this._toHex(owner),
+        permitSignature
+      ],
+      sendOptions,
+      () => this._checkSignatureTransfer(
+        signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM, permit, [permit.permitted], [transferDetails], owner, permitSignature
+      )
+    );
+  }
+
+  /**
+   * Transfers several tokens with a signed PermitBatchTransferFrom
+   * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+   * @param {Array<Object>} transferDetails - Array from createTransferDetails, matched by index
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} signature - Owner's signature (optional, signs with the client's signer)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permitBatchTransferFrom(permit, transferDetails, owner, signature, sendOptions = {}) {
+    this._validateTransferDetails(permit, transferDetails, sendOptions);
+    const permitSignature = signature || await this.signPermitBatchTransferFrom(permit);
+    return this._send(
+      METHOD_SIGNATURES.permitBatchTransferFrom,
+      [
+        permitHelpers.formatPermitBatchTransferFromForCall(permit),
+        permitHelpers.formatBatchTransferDetailsForCall(transferDetails),
+        this._toHex(owner),
+        permitSignature
+      ],
+      sendOptions,
+      () => this._checkSignatureTransfer(
+        signerHelpers.MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM, permit, permit.permitted, transferDetails, owner, permitSignature
+      )
+    );
+  }
+
+  /**
+   * Transfers tokens with a signed PermitWitnessTransferFrom
+   * @param {Object} permit - Permit object from createPermit
+   * @param {Object} transferDetails - Transfer details from createTransferDetails
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} witness - Witness hash (bytes32)
+   * @param {string} witnessTypeString - Witness type string
+   * @param {string} signature - Owner's signature (optional, signs with the client's signer)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permitWitnessTransferFrom(permit, transferDetails, owner, witness, witnessTypeString, signature, sendOptions = {}) {
+    this._validateTransferDetails(permit, transferDetails, sendOptions);
+    const permitSignature = signature || await this.signPermitWitnessTransferFrom(permit, witness, witnessTypeString);
+    return this._send(
+      METHOD_SIGNATURES.permitWitnessTransferFrom,
+      [
+        permitHelpers.formatPermitForCall(permit),
+        permitHelpers.formatTransferDetailsForCall(transferDetails),
+        this._toHex(owner),
+        witness,
+        witnessTypeString,
+        permitSignature
+      ],
+      sendOptions,
+      () => this._checkSignatureTransfer(
+        signerHelpers.MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM, permit, [permit.permitted], [transferDetails], owner, permitSignature,
+        { witness, witnessTypeString }
+      )
+    );
+  }
+
+  /**
+   * Transfers several tokens with a signed PermitBatchWitnessTransferFrom
+   * @param {Object} permit - Batch permit object from createPermitBatchTransferFrom
+   * @param {Array<Object>} transferDetails - Array from createTransferDetails, matched by index
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} witness - Witness hash (bytes32)
+   * @param {string} witnessTypeString - Witness type string
+   * @param {string} signature - Owner's signature (optional, signs with the client's signer)
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async permitBatchWitnessTransferFrom(permit, transferDetails, owner, witness, witnessTypeString, signature, sendOptions = {}) {
+    this._validateTransferDetails(permit, transferDetails, sendOptions);
+    const permitSignature = signature || await this.signPermitBatchWitnessTransferFrom(permit, witness, witnessTypeString);
+    return this._send(
+      METHOD_SIGNATURES.permitBatchWitnessTransferFrom,
+      [
+        permitHelpers.formatPermitBatchTransferFromForCall(permit),
+        permitHelpers.formatBatchTransferDetailsForCall(transferDetails),
+        this._toHex(owner),
+        witness,
+        witnessTypeString,
+        permitSignature
+      ],
+      sendOptions,
+      () => this._checkSignatureTransfer(
+        signerHelpers.MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM, permit, permit.permitted, transferDetails, owner, permitSignature,
+        { witness, witnessTypeString }
+      )
+    );
+  }
+
+  /**
+   * Invalidates the caller's unordered nonces in one bitmap word
+   * @param {number|string|bigint} wordPos - Word position in the bitmap
+   * @param {number|string|bigint} mask - Bits to set in the word
+   * @param {Object} sendOptions - TronWeb send options
+   * @returns {Promise<*>} TronWeb send result
+   */
+  async invalidateUnorderedNonces(wordPos, mask, sendOptions = {}) {
+    return this._send('invalidateUnorderedNonces', [wordPos.toString(), mask.toString()], sendOptions);
+  }
+
+  // ===== Internals =====
+
+  _toHex(address) {
+    return addressHelpers.toTronHex(address);
+  }
+
+  /**
+   * Estimates the energy, bandwidth and feeLimit of a Permit2 call sent from this client
+   * @param {string} method - Function name or full signature
+   * @param {Array} args - Call arguments
+   * @returns {Promise<Object>} Fee estimate from feeEstimator.estimateFee
+   */
+  async estimateFee(method, args) {
+    return feeEstimator.estimateFee(this.tronWeb, this.address, PERMIT2_ABI, method, args, this.sender, {
+      margin: this.feeMargin
+    });
+  }
+
+  /**
+   * Sends a Permit2 call, or simulates or estimates it when sendOptions.simulate / sendOptions.estimate is set
+   * @param {string} method - Function name or full signature
+   * @param {Array} args - Call arguments
+   * @param {Object} sendOptions - TronWeb send options, plus simulate, estimate and onSigned
+   * @param {Function} getChecks - Async function returning the local pre-flight checks for this call
+   * @returns {Promise<*>} TronWeb send result, the simulation report or the fee estimate
+   */
+  async _send(method, args, sendOptions = {}, getChecks = async () => []) {
+    const { simulate, estimate, onSigned, ...options } = sendOptions;
+    if (simulate) {
+      const checks = await getChecks();
+      const call = await simulation.simulateCall(this.tronWeb, this.address, PERMIT2_ABI, method, args, this.sender);
+      return simulation.createReport(method, checks, call);
+    }
+
+    try {
+      if (estimate) {
+        return await this.estimateFee(method, args);
+      }
+
+      const feeLimit = this.feeLimit === 'auto' ? (await this.estimateFee(method, args)).feeLimit : this.feeLimit;
+      if (onSigned) {
+        return await this._signAndBroadcast(method, args, feeLimit, onSigned);
+      }
+      return await this.contract.methods[method](...args).send({
+        feeLimit,
+        ...options
+      });
+    } catch (error) {
+      errors.rethrowPermit2Error(this.tronWeb, error);
+    }
+  }
+
+  /**
+   * Signs a Permit2 call and reports its txID before broadcasting it, so callers
+   * can look the transaction up even when the broadcast response is lost
+   * @param {string} method - Function name or full signature
+   * @param {Array} args - Call arguments
+   * @param {number} feeLimit - feeLimit in SUN
+   * @param {Function} onSigned - Called with the txID of the signed transaction
+   * @returns {Promise<string>} Transaction ID
+   * @throws {Error} If the node rejects the broadcast
+   */
+  async _signAndBroadcast(method, args, feeLimit, onSigned) {
+    const fragment = simulation.getFunctionFragment(PERMIT2_ABI, method);
+    const { transaction } = await this.tronWeb.transactionBuilder.triggerSmartContract(
+      addressHelpers.toTronHex(this.address),
+      simulation.getFunctionSignature(fragment),
+      { feeLimit, rawParameter: this.tronWeb.utils.abi.encodeParamsV2ByABI(fragment, args) },
+      [],
+      addressHelpers.toTronHex(this.sender)
+    );
+    const signed = await this.tronWeb.trx.sign(transaction);
+    onSigned(signed.txID);
+
+    const broadcast = await this.tronWeb.trx.sendRawTransaction(signed);
+    if (broadcast.code) {
+      throw new Error(broadcast.message ? this.tronWeb.toUtf8(broadcast.message) : broadcast.code);
+    }
+    return signed.txID;
+  }
+
+  /**
+   * Rejects transfer details the contract would revert on with InvalidAmount or LengthMismatch
+   * When simulating, they are reported by the amount check instead
+   * @param {Object} permit - Single or batch permit
+   * @param {Object|Array<Object>} transferDetails - Transfer details
+   * @param {Object} sendOptions - Send options
+   * @throws {ValidationError} If a requested amount exceeds the permitted amount or the lengths differ
+   */
+  _validateTransferDetails(permit, transferDetails, sendOptions) {
+    if (!sendOptions.simulate) {
+      validationHelpers.validateTransferDetails(permit, transferDetails);
+    }
+  }
+
+  /**
+   * Local pre-flight checks for the SignatureTransfer permit functions
+   * @param {string} messageType - One of signerHelpers.MESSAGE_TYPES
+   * @param {Object} permit - Single or batch permit
+   * @param {Array<Object>} permitted - TokenPermissions of the permit
+   * @param {Array<Object>} transferDetails - Transfer details, matched to permitted by index
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} signature - Owner's signature
+   * @param {Object} hashOptions - Witness and witnessTypeString for the witness types
+   * @returns {Promise<Array<Object>>} Check entries
+   */
+  async _checkSignatureTransfer(messageType, permit, permitted, transferDetails, owner, signature, hashOptions = {}) {
+    const now = await simulation.getBlockTimestamp(this.tronWeb);
+    const isSpender = addressHelpers.isSameAddress(permit.spender, this.sender);
+    const checks = [
+      simulation.checkDeadline(permit.deadline, now),
+      simulation.createCheck('spender', isSpender, isSpender
+        ? 'Sender is the permit spender'
+        : `Sender ${this.sender} is not the permit spender ${permit.spender}`),
+      await simulation.checkUnorderedNonce(this.nonces, owner, permit.nonce)
+    ];
+
+    if (permitted.length !== transferDetails.length) {
+      checks.push(simulation.createCheck('amount', false, 'Permitted tokens and transfer details differ in length'));
+    } else {
+      const exceeded = permitted.filter((permission, i) => BigInt(transferDetails[i].requestedAmount) > BigInt(permission.amount));
+      checks.push(simulation.createCheck('amount', exceeded.length === 0, exceeded.length === 0
+        ? 'Requested amounts are within the permitted amounts'
+        : `Requested amount exceeds the permitted amount for ${exceeded.map(permission => permission.token).join(', ')}`));
+
+      // Several transfers of the same token draw on the same balance and allowance
+      const required = new Map();
+      permitted.forEach((permission, i) => {
+        const token = this._toHex(permission.token);
+        required.set(token, (required.get(token) || BigInt(0)) + BigInt(transferDetails[i].requestedAmount));
+      });
+      for (const [token, amount] of required) {
+        checks.push(...await simulation.checkTokenFunds(this.tronWeb, token, owner, this.address, amount));
+      }
+    }
+
+    const hash = signerHelpers.getPermitHash(this.tronWeb, messageType, permit, await this.getDomainSeparator(), hashOptions);
+    checks.push(await simulation.checkSignature(this.tronWeb, signature, hash, owner, this.address));
+
+    return checks;
+  }
+
+  /**
+   * Local pre-flight checks for permit with a PermitSingle or PermitBatch
+   * @param {string} messageType - PERMIT_SINGLE or PERMIT_BATCH
+   * @param {Object} permit - PermitSingle or PermitBatch
+   * @param {Array<Object>} details - PermitDetails of the permit
+   * @param {string} owner - Owner that signed the permit
+   * @param {string} signature - Owner's signature
+   * @returns {Promise<Array<Object>>} Check entries
+   */
+  async _checkAllowancePermit(messageType, permit, details, owner, signature) {
+    const now = await simulation.getBlockTimestamp(this.tronWeb);
+    const checks = [simulation.checkDeadline(permit.sigDeadline, now)];
+
+    for (const detail of details) {
+      checks.push(await simulation.checkOrderedNonce(this.allowances, owner, detail.token, permit.spender, detail.nonce));
+    }
+
+    const hash = signerHelpers.getPermitHash(this.tronWeb, messageType, permit, await this.getDomainSeparator());
+    checks.push(await simulation.checkSignature(this.tronWeb, signature, hash, owner, this.address));
+
+    return checks;
+  }
+}
+
+module.exports = {
+  Permit2Client,
+  PERMIT2_ABI,
+  METHOD_SIGNATURES,
+  DEFAULT_FEE_LIMIT
+};
@@ -0,0 +1,475 @@
+/**
+ * Permit2Lib for JS Integrators
+ *
+ * Off-chain counterpart of contracts/libraries/Permit2Lib.sol. Permit2Lib.permit2
+ * tries a token's own EIP-2612 permit (or DAI's permit), and simplePermit2 falls back
+ * to a PermitSingle on Permit2; transferFrom2 tries the token's transferFrom before
+ * Permit2.transferFrom. These helpers make the same decisions before anything is
+ * signed: probe the token, build and sign the cheapest permit it supports and
+ * submit it to the right contract.
+ */
+
+const PERMIT2_ABI = require('../abi/Permit2.json');
+const addressHelpers = require('./address-helpers');
+const permitHelpers = require('./permit-helpers');
+const signerHelpers = require('./signer-helpers');
+const validationHelpers = require('./validation-helpers');
+const domainHelpers = require('./domain-helpers');
+const simulation = require('./simulation');
+const errors = require('./errors');
+const { MAX_UINT48, decodeAllowanceResult } = require('./allowance-client');
+const { DEFAULT_FEE_LIMIT, METHOD_SIGNATURES } = require('./permit2-client');
+
+// Kinds of permit a token can be approved with, cheapest first
+const PERMIT_KINDS = {
+  EIP2612: 'eip2612',
+  DAI: 'dai',
+  PERMIT2: 'permit2'
+};
+
+// Paths Permit2Lib.transferFrom2 can take
+const TRANSFER_ROUTES = {
+  TOKEN: 'token',
+  PERMIT2: 'permit2'
+};
+
+// Permit2Lib.DAI_DOMAIN_SEPARATOR: the domain separator of DAI on Ethereum mainnet
+const DAI_DOMAIN_SEPARATOR = '0xdbb8cf42e1ecb028be3f3dbc922e1d878b963f411dc388ced501601c60f7c6f7';
+
+const EIP2612_PERMIT_TYPE = 'Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)';
+const DAI_PERMIT_TYPE = 'Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)';
+
+const EIP2612_PERMIT_SIGNATURE = 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)';
+const DAI_PERMIT_SIGNATURE = 'permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)';
+
+// The parts of ERC20 and IDAIPermit the probes and permits use
+const TOKEN_PERMIT_ABI = [
+  {
+    type: 'function',
+    name: 'DOMAIN_SEPARATOR',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'bytes32' }]
+  },
+  {
+    type: 'function',
+    name: 'nonces',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'allowance',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'transferFrom',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }]
+  },
+  {
+    type: 'function',
+    name: 'permit',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+      { name: 'v', type: 'uint8' },
+      { name: 'r', type: 'bytes32' },
+      { name: 's', type: 'bytes32' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'permit',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'holder', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'expiry', type: 'uint256' },
+      { name: 'allowed', type: 'bool' },
+      { name: 'v', type: 'uint8' },
+      { name: 'r', type: 'bytes32' },
+      { name: 's', type: 'bytes32' }
+    ],
+    outputs: []
+  }
+];
+
+/**
+ * Reads a token's DOMAIN_SEPARATOR the way Permit2Lib.permit2 probes it
+ *
+ * Like the staticcall in Permit2Lib, the probe only succeeds if the call returns
+ * exactly 32 bytes and a non-zero word. Permit2Lib's WETH9 shortcut is Ethereum-only
+ * and not needed here.
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - Token address
+ * @param {string} from - Address the probe is called from (defaults to the token)
+ * @returns {Promise<string|null>} Domain separator, or null if the token has none
+ */
+async function getTokenDomainSeparator(tronWeb, token, from = token) {
+  const call = await simulation.simulateCall(tronWeb, token, TOKEN_PERMIT_ABI, 'DOMAIN_SEPARATOR', [], from);
+  if (!call.success || !call.result || call.result.length !== 64 || BigInt('0x' + call.result) === BigInt(0)) {
+    return null;
+  }
+  return '0x' + call.result;
+}
+
+/**
+ * Reads a token's EIP-2612 nonces(owner)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - Token address
+ * @param {string} owner - Token owner address
+ * @returns {Promise<string|null>} Nonce as a decimal string, or null if the token has no nonces
+ */
+async function getTokenNonce(tronWeb, token, owner) {
+  const call = await simulation.simulateCall(
+    tronWeb, token, TOKEN_PERMIT_ABI, 'nonces', [addressHelpers.toTronHex(owner)], owner
+  );
+  if (!call.success || !call.result || call.result.length !== 64) {
+    return null;
+  }
+  return BigInt('0x' + call.result).toString();
+}
+
+/**
+ * Lists the function signatures in the ABI a contract was deployed with
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - Token address
+ * @returns {Promise<Array<string>|null>} Function signatures, or null if no ABI is stored on-chain
+ */
+async function getDeployedFunctions(tronWeb, token) {
+  let contract;
+  try {
+    contract = await tronWeb.trx.getContract(addressHelpers.toTronHex(token));
+  } catch (error) {
+    return null;
+  }
+
+  const entries = contract && contract.abi && contract.abi.entrys;
+  if (!entries || !entries.length) {
+    return null;
+  }
+  return entries
+    .filter(entry => String(entry.type).toLowerCase() === 'function')
+    .map(entry => simulation.getFunctionSignature({ name: entry.name, inputs: entry.inputs || [] }));
+}
+
+/**
+ * Detects which permit a token supports
+ *
+ * A token supports EIP-2612 when DOMAIN_SEPARATOR and nonces(owner) both answer.
+ * It is DAI-style when its domain separator is DAI's (as Permit2Lib checks) or its
+ * on-chain ABI has IDAIPermit.permit. When the ABI is published without a permit
+ * function, or either probe fails, the token falls back to Permit2.
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - Token address
+ * @param {string} owner - Token owner address (used for the nonces probe)
+ * @returns {Promise<Object>} Object containing kind (PERMIT_KINDS), domainSeparator and nonce (null for Permit2)
+ */
+async function detectPermitSupport(tronWeb, token, owner) {
+  validationHelpers.validateAddress(token, 'token');
+  validationHelpers.validateAddress(owner, 'owner');
+
+  const permit2Support = { kind: PERMIT_KINDS.PERMIT2, domainSeparator: null, nonce: null };
+
+  const domainSeparator = await getTokenDomainSeparator(tronWeb, token, owner);
+  if (!domainSeparator) {
+    return permit2Support;
+  }
+  const nonce = await getTokenNonce(tronWeb, token, owner);
+  if (nonce === null) {
+    return permit2Support;
+  }
+
+  const functions = await getDeployedFunctions(tronWeb, token);
+  if (domainSeparator === DAI_DOMAIN_SEPARATOR || (functions && functions.includes(DAI_PERMIT_SIGNATURE))) {
+    return { kind: PERMIT_KINDS.DAI, domainSeparator, nonce };
+  }
+  if (functions && !functions.includes(EIP2612_PERMIT_SIGNATURE)) {
+    return permit2Support;
+  }
+  return { kind: PERMIT_KINDS.EIP2612, domainSeparator, nonce };
+}
+
+/**
+ * Hashes an EIP-712 struct under a token's domain separator
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} domainSeparator - Token domain separator
+ * @param {Array<string>} types - ABI types of the struct fields, after the type hash
+ * @param {Array} values - Struct field values
+ * @param {string} type - EIP-712 type string
+ * @returns {Object} Object containing structHash and finalHash
+ */
+function hashTokenPermit(tronWeb, domainSeparator, types, values, type) {
+  const typeHash = '0x' + tronWeb.sha3(type, false);
+  const structHash = tronWeb.utils.ethersUtils.keccak256(
+    tronWeb.utils.abi.encodeParams(['bytes32', ...types], [typeHash, ...values])
+  );
+  const finalHash = tronWeb.utils.ethersUtils.keccak256(
+    tronWeb.utils.ethersUtils.concat(['0x1901', domainSeparator, structHash])
+  );
+  return { structHash, finalHash };
+}
+
+/**
+ * Hashes an EIP-2612 permit as ERC20.permit verifies it
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} domainSeparator - Token domain separator (from DOMAIN_SEPARATOR)
+ * @param {Object} permit - Object with owner, spender, value, nonce and deadline
+ * @returns {Object} Object containing structHash and finalHash (ready for signing)
+ */
+function getEIP2612PermitHash(tronWeb, domainSeparator, permit) {
+  return hashTokenPermit(
+    tronWeb,
+    domainSeparator,
+    ['uint160', 'uint160', 'uint256', 'uint256', 'uint256'],
+    [
+      addressHelpers.toUint160(permit.owner),
+      addressHelpers.toUint160(permit.spender),
+      permit.value,
+      permit.nonce,
+      permit.deadline
+    ],
+    EIP2612_PERMIT_TYPE
+  );
+}
+
+/**
+ * Hashes a DAI-style permit as IDAIPermit.permit verifies it
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} domainSeparator - Token domain separator (from DOMAIN_SEPARATOR)
+ * @param {Object} permit - Object with holder, spender, nonce, expiry and allowed
+ * @returns {Object} Object containing structHash and finalHash (ready for signing)
+ */
+function getDAIPermitHash(tronWeb, domainSeparator, permit) {
+  return hashTokenPermit(
+    tronWeb,
+    domainSeparator,
+    ['uint160', 'uint160', 'uint256', 'uint256', 'bool'],
+    [
+      addressHelpers.toUint160(permit.holder),
+      addressHelpers.toUint160(permit.spender),
+      permit.nonce,
+      permit.expiry,
+      permit.allowed
+    ],
+    DAI_PERMIT_TYPE
+  );
+}
+
+/**
+ * Builds the permit Permit2Lib.permit2 would use for a token, with its hash ready for signing
+ *
+ * - eip2612: ERC20.permit for exactly amount
+ * - dai: IDAIPermit.permit with allowed = true, i.e. an unlimited allowance (DAI permits carry no amount)
+ * - permit2: the PermitSingle of Permit2Lib.simplePermit2, for amount with an unlimited expiration
+ *   and the current allowance nonce; the owner must have approved Permit2 on the token
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {string} token - Token address
+ * @param {string} owner - Token owner (signer)
+ * @param {string} spender - Address that will be allowed to spend
+ * @param {number|string|bigint} amount - Amount to allow (uint160 when falling back to Permit2)
+ * @param {number|string|bigint} deadline - Unix timestamp when the signature expires
+ * @param {Object} options - Options
+ * @param {string} options.kind - Force a PERMIT_KINDS value instead of detecting it
+ * @param {number} options.chainId - Chain ID to compute the Permit2 domain separator offline
+ * @param {boolean} options.allowExpired - Accept a deadline in the past
+ * @returns {Promise<Object>} Object containing kind, token, owner, permit (the signed message) and hash
+ * @throws {ValidationError} If an address, the amount or the deadline is invalid
+ */
+async function buildPermit(tronWeb, permit2Address, token, owner, spender, amount, deadline, options = {}) {
+  validationHelpers.validateAddress(permit2Address, 'permit2Address');
+  validationHelpers.validateAddress(spender, 'spender');
+  validationHelpers.validateUint(amount, 'uint256', 'amount');
+  validationHelpers.validateDeadline(deadline, 'deadline', options);
+
+  const support = await detectPermitSupport(tronWeb, token, owner);
+  const kind = options.kind || support.kind;
+
+  if (kind !== PERMIT_KINDS.PERMIT2 && !support.domainSeparator) {
+    throw new Error(`Token ${token} does not support ${kind} permits`);
+  }
+
+  if (kind === PERMIT_KINDS.EIP2612) {
+    const permit = {
+      owner,
+      spender,
+      value: amount.toString(),
+      nonce: support.nonce,
+      deadline: deadline.toString()
+    };
+    return { kind, token, owner, permit, hash: getEIP2612PermitHash(tronWeb, support.domainSeparator, permit).finalHash };
+  }
+
+  if (kind === PERMIT_KINDS.DAI) {
+    const permit = {
+      holder: owner,
+      spender,
+      nonce: support.nonce,
+      expiry: deadline.toString(),
+      allowed: true
+    };
+    return { kind, token, owner, permit, hash: getDAIPermitHash(tronWeb, support.domainSeparator, permit).finalHash };
+  }
+
+  if (kind !== PERMIT_KINDS.PERMIT2) {
+    throw new Error(`Unknown permit kind: ${kind}`);
+  }
+
+  // Permit2Lib.simplePermit2: current nonce, unlimited expiration, sigDeadline = deadline
+  const permit2 = tronWeb.contract(PERMIT2_ABI, permit2Address);
+  const { nonce } = decodeAllowanceResult(await permit2.allowance(
+    addressHelpers.toTronHex(owner),
+    addressHelpers.toTronHex(token),
+    addressHelpers.toTronHex(spender)
+  ).call());
+  const permit = permitHelpers.createPermitSingle(
+    token, amount, MAX_UINT48.toString(), nonce, spender, deadline, { allowExpired: options.allowExpired }
+  );
+  const domainSeparator = options.chainId !== undefined
+    ? domainHelpers.computeDomainSeparator(options.chainId, permit2Address)
+    : await permit2.DOMAIN_SEPARATOR().call();
+
+  return { kind, token, owner, permit, hash: permitHelpers.getPermitSingleHash(tronWeb, permit, domainSeparator).finalHash };
+}
+
+/**
+ * Signs a permit from buildPermit
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} signer - Signer from signerHelpers.createSigner (must be the owner)
+ * @param {Object} built - Result of buildPermit
+ * @returns {Promise<Object>} The built permit plus signature (65 bytes) and its v, r and s
+ */
+async function signPermit(tronWeb, signer, built) {
+  const signature = await signerHelpers.signHash(tronWeb, signer, built.hash);
+  const { v, r, s } = tronWeb.utils.ethersUtils.Signature.from(signature);
+  return { ...built, signature, v, r, s };
+}
+
+/**
+ * Builds, detects and signs in one step: the permit a frontend should ask the owner for
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} signer - Signer from signerHelpers.createSigner (must be the owner)
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {string} token - Token address
+ * @param {string} spender - Address that will be allowed to spend
+ * @param {number|string|bigint} amount - Amount to allow
+ * @param {number|string|bigint} deadline - Unix timestamp when the signature expires
+ * @param {Object} options - Options for buildPermit, plus owner
+ * @param {string} options.owner - Owner address, when the signer does not know it (callback signers)
+ * @returns {Promise<Object>} Signed permit from signPermit
+ */
+async function buildAndSignPermit(tronWeb, signer, permit2Address, token, spender, amount, deadline, options = {}) {
+  const owner = options.owner || signer.address;
+  if (!owner) {
+    throw new Error('The owner address is required when the signer does not know its address');
+  }
+  const built = await buildPermit(tronWeb, permit2Address, token, owner, spender, amount, deadline, options);
+  return signPermit(tronWeb, signer, built);
+}
+
+/**
+ * Submits a signed permit to the token or to Permit2, as Permit2Lib.permit2 would call it
+ * @param {Object} tronWeb - TronWeb instance that sends the transaction (anyone may submit a permit)
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {Object} signed - Result of signPermit
+ * @param {Object} sendOptions - TronWeb send options (feeLimit defaults to Permit2Client's)
+ * @returns {Promise<*>} TronWeb send result
+ */
+async function sendPermit(tronWeb, permit2Address, signed, sendOptions = {}) {
+  const options = { feeLimit: DEFAULT_FEE_LIMIT, ...sendOptions };
+  const { permit } = signed;
+
+  try {
+    if (signed.kind === PERMIT_KINDS.PERMIT2) {
+      const permit2 = tronWeb.contract(PERMIT2_ABI, permit2Address);
+      return await permit2.methods[METHOD_SIGNATURES.permitSingle](
+        addressHelpers.toTronHex(signed.owner),
+        permitHelpers.formatPermitSingleForCall(permit),
+        signed.signature
+      ).send(options);
+    }
+
+    const token = tronWeb.contract(TOKEN_PERMIT_ABI, signed.token);
+    if (signed.kind === PERMIT_KINDS.DAI) {
+      return await token.methods[DAI_PERMIT_SIGNATURE](
+        addressHelpers.toTronHex(permit.holder),
+        addressHelpers.toTronHex(permit.spender),
+        permit.nonce,
+        permit.expiry,
+        permit.allowed,
+        signed.v,
+        signed.r,
+        signed.s
+      ).send(options);
+    }
+    return await token.methods[EIP2612_PERMIT_SIGNATURE](
+      addressHelpers.toTronHex(permit.owner),
+      addressHelpers.toTronHex(permit.spender),
+      permit.value,
+      permit.deadline,
+      signed.v,
+      signed.r,
+      signed.s
+    ).send(options);
+  } catch (error) {
+    errors.rethrowPermit2Error(tronWeb, error);
+  }
+}
+
+/**
+ * Predicts which path Permit2Lib.transferFrom2 takes
+ *
+ * Runs the token's transferFrom as a constant call from the spender, so every reason
+ * it can fail (allowance, balance, paused or blacklisted accounts) picks Permit2 as it
+ * does on-chain. As in transferFrom2, the call succeeds only if it returns 1 or nothing.
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - Token address
+ * @param {string} from - Token owner
+ * @param {string} spender - Contract calling transferFrom2 (msg.sender of the token's transferFrom)
+ * @param {number|string|bigint} amount - Amount to transfer
+ * @param {string} to - Recipient of the transfer
+ * @returns {Promise<string>} TRANSFER_ROUTES.TOKEN if the token's own transferFrom would succeed, else TRANSFER_ROUTES.PERMIT2
+ */
+async function getTransferRoute(tronWeb, token, from, spender, amount, to) {
+  const call = await simulation.simulateCall(
+    tronWeb,
+    token,
+    TOKEN_PERMIT_ABI,
+    'transferFrom',
+    [addressHelpers.toTronHex(from), addressHelpers.toTronHex(to), BigInt(amount).toString()],
+    spender
+  );
+  const returnedTrue = !call.result || (call.result.length >= 64 && BigInt('0x' + call.result.slice(0, 64)) === BigInt(1));
+  return call.success && returnedTrue ? TRANSFER_ROUTES.TOKEN : TRANSFER_ROUTES.PERMIT2;
+}
+
+module.exports = {
+  PERMIT_KINDS,
+  TRANSFER_ROUTES,
+  DAI_DOMAIN_SEPARATOR,
+  EIP2612_PERMIT_TYPE,
+  DAI_PERMIT_TYPE,
+  TOKEN_PERMIT_ABI,
+  getTokenDomainSeparator,
+  getTokenNonce,
+  detectPermitSupport,
+  getEIP2612PermitHash,
+  getDAIPermitHash,
+  buildPermit,
+  signPermit,
+  buildAndSignPermit,
+  sendPermit,
+  getTransferRoute
+};
@@ -0,0 +1,103 @@
+/**
+ * Permit2 Struct Types for Tron
+ *
+ * TypeScript declarations for the Permit2 structs the helpers build, hash and
+ * format. Field names and order follow the Solidity structs in
+ * contracts/interfaces/ISignatureTransfer.sol and IAllowanceTransfer.sol.
+ */
+
+import type { TronWeb } from 'tronweb';
+
+/** TronWeb instance the helpers use for hashing and ABI encoding */
+export type TronWebInstance = TronWeb;
+
+/** Address as base58, 41-hex, 0x41-hex or 20-byte 0x-hex (see address-helpers.js) */
+export type Address = string;
+
+/** Unsigned integer: safe-integer number, decimal or 0x-hex string, or BigInt */
+export type Uint = number | string | bigint;
+
+/** 0x-prefixed 32-byte hex string */
+export type Bytes32 = string;
+
+/** 0x-prefixed hex string of any length */
+export type Hex = string;
+
+/** ISignatureTransfer.TokenPermissions */
+export interface TokenPermissions {
+  token: Address;
+  amount: Uint;
+}
+
+/** ISignatureTransfer.PermitTransferFrom */
+export interface PermitTransferFrom {
+  permitted: TokenPermissions;
+  spender: Address;
+  nonce: Uint;
+  deadline: Uint;
+}
+
+/** ISignatureTransfer.PermitBatchTransferFrom */
+export interface PermitBatchTransferFrom {
+  permitted: TokenPermissions[];
+  spender: Address;
+  nonce: Uint;
+  deadline: Uint;
+}
+
+/** ISignatureTransfer.SignatureTransferDetails */
+export interface SignatureTransferDetails {
+  to: Address;
+  requestedAmount: Uint;
+}
+
+/** IAllowanceTransfer.PermitDetails (amount is uint160, expiration and nonce are uint48) */
+export interface PermitDetails {
+  token: Address;
+  amount: Uint;
+  expiration: Uint;
+  nonce: Uint;
+}
+
+/** IAllowanceTransfer.PermitSingle */
+export interface PermitSingle {
+  details: PermitDetails;
+  spender: Address;
+  sigDeadline: Uint;
+}
+
+/** IAllowanceTransfer.PermitBatch */
+export interface PermitBatch {
+  details: PermitDetails[];
+  spender: Address;
+  sigDeadline: Uint;
+}
+
+/** IAllowanceTransfer.AllowanceTransferDetails (amount is uint160) */
+export interface AllowanceTransferDetails {
+  from: Address;
+  to: Address;
+  amount: Uint;
+  token: Address;
+}
+
+/** IAllowanceTransfer.TokenSpenderPair */
+export interface TokenSpenderPair {
+  token: Address;
+  spender: Address;
+}
+
+/** Struct hash and final TIP-712 hash returned by the get*Hash helpers */
+export interface PermitHash {
+  structHash: Bytes32;
+  finalHash: Bytes32;
+}
+
+/** Options accepted by the permit builders */
+export interface BuildOptions {
+  /** Accept a deadline in the past (e.g. to test SignatureExpired) */
+  allowExpired?: boolean;
+}
+
+/** TIP-712 struct definitions: type name to its fields */
+export type TypedDataTypes = Record<string, Array<{ name: string; type: string }>>;
@@ -0,0 +1,505 @@
+/**
+ * Permit2 Relayer for Tron
+ *
+ * Accepts signed SignatureTransfer permits as JSON, validates them off-chain
+ * (hash recomputation, signer recovery, deadline, nonce bitmap, balances and a
+ * constant call), asks a policy hook whether to pay energy for them, then
+ * queues them and submits them from the relayer key with retry and receipt
+ * polling. createRelayerServer exposes the relayer over plain Node HTTP.
+ *
+ * Permit2 hashes msg.sender as the permit spender, so permits sent to a relayer
+ * must name the relayer address as spender. The owner's signature does not cover
+ * transferDetails.to: the relayer, as msg.sender, chooses it, and Permit2 only
+ * hashes a witness without reading it. Whoever posts a signed permit could name
+ * any recipient, so the default policy refuses every request unless its
+ * recipients are allowlisted.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const addressHelpers = require('./address-helpers');
+const permitHelpers = require('./permit-helpers');
+const signerHelpers = require('./signer-helpers');
+const validationHelpers = require('./validation-helpers');
+const errors = require('./errors');
+const { Permit2Client } = require('./permit2-client');
+
+const MESSAGE_TYPES = signerHelpers.MESSAGE_TYPES;
+
+// Message types the relayer submits, mapped to the Permit2Client method that submits them
+const RELAYABLE_TYPES = {
+  [MESSAGE_TYPES.PERMIT_TRANSFER_FROM]: 'permitTransferFrom',
+  [MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM]: 'permitBatchTransferFrom',
+  [MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM]: 'permitWitnessTransferFrom',
+  [MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM]: 'permitBatchWitnessTransferFrom'
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.CONFIRMED, JOB_STATUS.FAILED, JOB_STATUS.TIMEOUT];
+
+// Maximum accepted request body, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Error returned to relayer clients, with the HTTP status it maps to
+ */
+class RelayerError extends Error {
+  /**
+   * @param {string} message - Readable reason
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} details - Extra fields for the response body (e.g. failures)
+   */
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RelayerError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether a message type carries a witness
+ * @param {string} type - One of signerHelpers.MESSAGE_TYPES
+ * @returns {boolean} True for the witness types
+ */
+function isWitnessType(type) {
+  return type === MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM ||
+    type === MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM;
+}
+
+/**
+ * Validates the shape of a relay request and converts it into permit objects
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object} Request with type, permit, transferDetails, owner, signature, witness and witnessTypeString
+ * @throws {RelayerError} If a field is missing or malformed
+ */
+function parseRelayRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new RelayerError('Request body must be a JSON object');
+  }
+  if (!RELAYABLE_TYPES[body.type]) {
+    throw new RelayerError(`type must be one of ${Object.keys(RELAYABLE_TYPES).join(', ')}`);
+  }
+
+  const isBatch = body.type === MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM ||
+    body.type === MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM;
+  const isWitness = isWitnessType(body.type);
+  const permit = body.permit || {};
+
+  const permitted = isBatch ? permit.permitted : [permit.permitted];
+  const transferDetails = isBatch ? body.transferDetails : [body.transferDetails];
+  if (!Array.isArray(permitted) || !Array.isArray(transferDetails) || permitted.some(entry => !entry) || transferDetails.some(entry => !entry)) {
+    throw new RelayerError(isBatch ? 'permit.permitted and transferDetails must be arrays' : 'permit.permitted and transferDetails are required');
+  }
+
+  if (typeof body.signature !== 'string' || !/^0x([0-9a-fA-F]{128}|[0-9a-fA-F]{130})$/.test(body.signature)) {
+    throw new RelayerError('signature must be a 64 or 65 byte hex string');
+  }
+  if (isWitness && (typeof body.witness !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(body.witness))) {
+    throw new RelayerError('witness must be a bytes32 hex string');
+  }
+  if (isWitness && (typeof body.witnessTypeString !== 'string' || !body.witnessTypeString)) {
+    throw new RelayerError('witnessTypeString is required');
+  }
+
+  // The builders reject malformed addresses, out-of-range integers and expired deadlines
+  try {
+    const parsedPermitted = permitted.map(entry => permitHelpers.createTokenPermissions(entry.token, entry.amount));
+    const parsedTransferDetails = transferDetails.map(entry => permitHelpers.createTransferDetails(entry.to, entry.requestedAmount));
+    const request = {
+      type: body.type,
+      permit: isBatch
+        ? permitHelpers.createPermitBatchTransferFrom(parsedPermitted, permit.spender, permit.nonce, permit.deadline)
+        : permitHelpers.createPermit(parsedPermitted[0].token, parsedPermitted[0].amount, permit.spender, permit.nonce, permit.deadline),
+      transferDetails: isBatch ? parsedTransferDetails : parsedTransferDetails[0],
+      owner: validationHelpers.validateAddress(body.owner, 'owner'),
+      signature: body.signature,
+      witness: isWitness ? body.witness : undefined,
+      witnessTypeString: isWitness ? body.witnessTypeString : undefined
+    };
+    validationHelpers.validateTransferDetails(request.permit, request.transferDetails);
+    return request;
+  } catch (error) {
+    if (error instanceof validationHelpers.ValidationError) {
+      throw new RelayerError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates a policy that only pays energy for allowlisted tokens, spenders and recipients
+ * Without a recipients list every request is refused, since anyone holding the signed
+ * permit could otherwise pick transferDetails.to; a policy that decodes a witness and
+ * checks the recipient against it can be passed to Permit2Relayer instead
+ * @param {Object} allowlist - Allowlist (omit tokens or spenders to allow any)
+ * @param {Array<string>} allowlist.tokens - Tokens the relayer will move
+ * @param {Array<string>} allowlist.spenders - Permit spenders the relayer will act for
+ * @param {Array<string>} allowlist.recipients - Recipients the relayer will send to
+ * @returns {Function} Policy hook for Permit2Relayer
+ */
+function createAllowlistPolicy(allowlist = {}) {
+  const normalize = list => list && new Set(list.map(address => addressHelpers.toTronHex(address)));
+  const tokens = normalize(allowlist.tokens);
+  const spenders = normalize(allowlist.spenders);
+  const recipients = normalize(allowlist.recipients);
+
+  return async (request) => {
+    const permitted = Array.isArray(request.permit.permitted) ? request.permit.permitted : [request.permit.permitted];
+    const blocked = permitted.find(({ token }) => tokens && !tokens.has(addressHelpers.toTronHex(token)));
+    if (blocked) {
+      return { allowed: false, reason: `Token ${blocked.token} is not supported` };
+    }
+    if (spenders && !spenders.has(addressHelpers.toTronHex(request.permit.spender))) {
+      return { allowed: false, reason: `Spender ${request.permit.spender} is not supported` };
+    }
+
+    if (!recipients) {
+      return { allowed: false, reason: 'Recipients are not signed by the owner and no recipients are allowlisted' };
+    }
+    const transferDetails = Array.isArray(request.transferDetails) ? request.transferDetails : [request.transferDetails];
+    const unlisted = transferDetails.find(({ to }) => !recipients.has(addressHelpers.toTronHex(to)));
+    if (unlisted) {
+      return { allowed: false, reason: `Recipient ${unlisted.to} is not supported` };
+    }
+    return { allowed: true };
+  };
+}
+
+class Permit2Relayer {
+  /**
+   * @param {Object} tronWeb - TronWeb instance holding the relayer key (pays energy, is msg.sender)
+   * @param {string} permit2Address - Address of the Permit2 contract
+   * @param {Object} options - Relayer options
+   * @param {Function} options.policy - Async hook (request) => boolean | { allowed, reason }; default is createAllowlistPolicy(), which refuses everything
+   * @param {number} options.maxRetries - Broadcast attempts before a job fails (default 3)
+   * @param {number} options.retryDelay - Delay between broadcast attempts in ms (default 3000)
+   * @param {number} options.pollInterval - Delay between receipt polls in ms (default 3000)
+   * @param {number} options.pollTimes - Receipt polls before a job times out (default 20)
+   * @param {number} options.jobTtl - How long finished jobs stay queryable in ms (default 1 hour)
+   * @param {number|string} options.feeLimit - feeLimit for submissions (default 'auto')
+   * @param {number} options.chainId - Chain ID for the offline domain separator
+   */
+  constructor(tronWeb, permit2Address, options = {}) {
+    this.tronWeb = tronWeb;
+    this.client = new Permit2Client(tronWeb, permit2Address, {
+      feeLimit: options.feeLimit || 'auto',
+      chainId: options.chainId
+    });
+    this.policy = options.policy || createAllowlistPolicy();
+    this.maxRetries = options.maxRetries || 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 3000;
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 3000;
+    this.pollTimes = options.pollTimes || 20;
+    this.jobTtl = options.jobTtl !== undefined ? options.jobTtl : 60 * 60 * 1000;
+    // id -> job
+    this.jobs = new Map();
+    // owner:nonce keys of requests that are being validated and have no job yet
+    this.pending = new Set();
+    this.queue = [];
+    this.processing = null;
+  }
+
+  /**
+   * Address that submits permits; it must be the spender of every relayed permit
+   * @returns {string} Base58 address
+   */
+  get address() {
+    return this.client.sender;
+  }
+
+  /**
+   * Validates a relay request without queuing it
+   * @param {Object} request - Request from parseRelayRequest
+   * @returns {Promise<Object>} Simulation report from Permit2Client
+   * @throws {RelayerError} If the policy rejects the request or a check fails
+   */
+  async validate(request) {
+    const decision = await this.policy(request);
+    const allowed = typeof decision === 'object' ? decision.allowed : decision;
+    if (!allowed) {
+      throw new RelayerError((decision && decision.reason) || 'Rejected by relayer policy', 403);
+    }
+
+    const report = await this._call(request, { simulate: true });
+    if (!report.ok) {
+      const failed = report.checks.filter(check => !check.ok);
+      throw new RelayerError(`Permit failed validation: ${failed.map(check => check.message).join('; ')}`, 422, {
+        failures: report.failures
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Validates a relay request and queues it for submission
+   * @param {Object} body - Relay request JSON (see README)
+   * @returns {Promise<Object>} Queued job
+   * @throws {RelayerError} If the request is malformed, rejected or already queued
+   */
+  async submit(body) {
+    const request = parseRelayRequest(body);
+    const key = `${addressHelpers.toTronHex(request.owner)}:${request.permit.nonce}`;
+
+    // The nonce bitmap cannot see permits that are queued but not yet mined
+    if (this.pending.has(key)) {
+      throw new RelayerError(`Permit with nonce ${request.permit.nonce} is already being validated`, 409);
+    }
+    for (const job of this.jobs.values()) {
+      if (job.key === key && [JOB_STATUS.QUEUED, JOB_STATUS.SUBMITTED].includes(job.status)) {
+        throw new RelayerError(`Permit with nonce ${request.permit.nonce} is already queued as ${job.id}`, 409);
+      }
+    }
+
+    // Reserve the key before the first await, so a concurrent submit of the same permit is refused
+    this.pending.add(key);
+    try {
+      await this.validate(request);
+    } finally {
+      this.pending.delete(key);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      status: JOB_STATUS.QUEUED,
+      request,
+      attempts: 0,
+      txID: null,
+      // Every transaction signed for this job, since a broadcast may land after its response was lost
+      txIDs: [],
+      error: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    this._prune();
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+
+    const queued = this.getJob(job.id);
+    this._drain();
+    return queued;
+  }
+
+  /**
+   * Returns the public view of a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job with id, status, attempts, txID and error, or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    return {
+      id: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      txID: job.txID,
+      error: job.error
+    };
+  }
+
+  /**
+   * Resolves once every queued job has been processed
+   * @returns {Promise<void>}
+   */
+  async onIdle() {
+    while (this.processing) {
+      await this.processing;
+    }
+  }
+
+  _drain() {
+    if (this.processing) {
+      return;
+    }
+    // One job at a time, so submissions from the relayer key never race each other
+    this.processing = (async () => {
+      while (this.queue.length > 0) {
+        await this._process(this.queue.shift());
+      }
+      this.processing = null;
+    })();
+  }
+
+  async _process(job) {
+    while (job.attempts < this.maxRetries) {
+      // A broadcast whose response was lost may still have been mined; sending it again would fail on the used nonce
+      if (await this._findTransaction(job)) {
+        job.status = JOB_STATUS.SUBMITTED;
+        break;
+      }
+
+      job.attempts++;
+      try {
+        await this._call(job.request, {
+          onSigned: txID => {
+            job.txID = txID;
+            job.txIDs.push(txID);
+          }
+        });
+        job.status = JOB_STATUS.SUBMITTED;
+        break;
+      } catch (error) {
+        // The earlier broadcast used the nonce but is not indexed yet, so wait for its receipt instead
+        if (job.txIDs.length > 0 && error instanceof errors.InvalidNonceError) {
+          job.status = JOB_STATUS.SUBMITTED;
+          break;
+        }
+        // A revert is deterministic, retrying it only burns more energy
+        if (error instanceof errors.Permit2Error || job.attempts >= this.maxRetries) {
+          this._finish(job, JOB_STATUS.FAILED, error.message);
+          return;
+        }
+        job.error = error.message;
+        await sleep(this.retryDelay);
+      }
+    }
+
+    for (let i = 0; i < this.pollTimes; i++) {
+      await sleep(this.pollInterval);
+      const info = await this._findTransaction(job);
+      if (!info) {
+        continue;
+      }
+
+      const revert = errors.toPermit2Error(this.tronWeb, info);
+      if (revert || (info.receipt && info.receipt.result && info.receipt.result !== 'SUCCESS')) {
+        this._finish(job, JOB_STATUS.FAILED, revert ? revert.message : `Transaction failed: ${info.receipt.result}`);
+      } else {
+        this._finish(job, JOB_STATUS.CONFIRMED, null);
+      }
+      return;
+    }
+
+    this._finish(job, JOB_STATUS.TIMEOUT, `No receipt after ${this.pollTimes} polls`);
+  }
+
+  // Looks up every transaction signed for a job, and points job.txID at the one that was mined
+  async _findTransaction(job) {
+    for (const txID of job.txIDs) {
+      const info = await this.tronWeb.trx.getTransactionInfo(txID).catch(() => ({}));
+      if (info && info.id) {
+        job.txID = txID;
+        return info;
+      }
+    }
+    return null;
+  }
+
+  _finish(job, status, error) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = Date.now();
+  }
+
+  // Drops finished jobs older than jobTtl, so a long-running relayer does not keep every job
+  _prune() {
+    const cutoff = Date.now() - this.jobTtl;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && job.finishedAt < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  async _call(request, sendOptions = {}) {
+    const method = RELAYABLE_TYPES[request.type];
+    const isWitness = request.witness !== undefined;
+    return isWitness
+      ? this.client[method](request.permit, request.transferDetails, request.owner, request.witness, request.witnessTypeString, request.signature, sendOptions)
+      : this.client[method](request.permit, request.transferDetails, request.owner, request.signature, sendOptions);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {Object} req - Node HTTP request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {RelayerError} If the body is too large or not JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayerError('Request body too large', 413));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayerError('Request body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates the relayer HTTP server
+ *   POST /permits      - Validates and queues a permit, responds 202 with the job
+ *   GET  /permits/:id  - Returns a job's status
+ *   GET  /health       - Returns the relayer address and queue length
+ * @param {Permit2Relayer} relayer - Relayer instance
+ * @returns {Object} Node HTTP server (call listen() to start it)
+ */
+function createRelayerServer(relayer) {
+  const respond = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'POST' && pathname === '/permits') {
+        const job = await relayer.submit(await readJsonBody(req));
+        return respond(res, 202, job);
+      }
+
+      const jobMatch = pathname.match(/^\/permits\/([\w-]+)$/);
+      if (req.method === 'GET' && jobMatch) {
+        const job = relayer.getJob(jobMatch[1]);
+        return job ? respond(res, 200, job) : respond(res, 404, { error: 'Job not found' });
+      }
+
+      if (req.method === 'GET' && pathname === '/health') {
+        return respond(res, 200, { ok: true, relayer: relayer.address, queued: relayer.queue.length });
+      }
+
+      respond(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof RelayerError) {
+        return respond(res, error.statusCode, { error: error.message, ...error.details });
+      }
+      respond(res, 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  Permit2Relayer,
+  RelayerError,
+  RELAYABLE_TYPES,
+  JOB_STATUS,
+  parseRelayRequest,
+  createAllowlistPolicy,
+  createRelayerServer
+};
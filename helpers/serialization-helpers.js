@@ -0,0 +1,266 @@
+/**
+ * Signed Permit Serialization Helper Functions for Permit2 on Tron
+ *
+ * These helper functions define a versioned, canonical JSON format for a signed
+ * Permit2 message (the permit plus its signature, chainId and verifying
+ * contract) so permits can travel between frontends, backends and relayers
+ * without ambiguity. Serializing and parsing both validate strictly:
+ * - addresses may be base58, 41-hex, 0x41-hex or 0x-hex and are always written as base58
+ * - integers may be numbers (safe integers only), decimal or 0x-hex strings or
+ *   BigInts, are checked against their Solidity type, and are written as decimal strings
+ * - signatures, witness hashes and other bytes are written as lowercase 0x-hex
+ * - unknown fields are rejected
+ * Every rejected input throws a validationHelpers.ValidationError naming the field.
+ *
+ * Format (version 1):
+ * {
+ *   "version": 1,
+ *   "type": "PermitTransferFrom",        // one of signerHelpers.MESSAGE_TYPES
+ *   "chainId": 728126428,                // masked to 32 bits, as in the TIP-712 domain
+ *   "verifyingContract": "T...",         // Permit2 address
+ *   "owner": "T...",                     // optional, the signer
+ *   "permit": { ... },                   // the message, field by field as the TIP-712 struct
+ *   "transferDetails": { ... } | [ ... ], // optional, SignatureTransfer types only
+ *   "witness": "0x...",                  // witness types only, the witness hash
+ *   "witnessTypeString": "...",          // witness types only
+ *   "signature": "0x..."                 // 65-byte or 64-byte (EIP-2098) signature
+ * }
+ */
+
+const addressHelpers = require('./address-helpers');
+const domainHelpers = require('./domain-helpers');
+const { PERMIT2_TYPES } = require('./payload-helpers');
+const { MESSAGE_TYPES } = require('./signer-helpers');
+const validationHelpers = require('./validation-helpers');
+
+const { ValidationError } = validationHelpers;
+
+// Current version of the signed permit format
+const SERIALIZATION_VERSION = 1;
+
+// Struct definitions of every serialized value; the permit structs are the TIP-712 types
+const SERIALIZATION_TYPES = {
+  ...PERMIT2_TYPES,
+  SignatureTransferDetails: [
+    { name: 'to', type: 'address' },
+    { name: 'requestedAmount', type: 'uint256' }
+  ]
+};
+
+// Message type -> struct type of its permit (witness types sign the base struct plus the witness)
+const PERMIT_STRUCT_TYPES = {
+  [MESSAGE_TYPES.PERMIT_TRANSFER_FROM]: 'PermitTransferFrom',
+  [MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM]: 'PermitBatchTransferFrom',
+  [MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM]: 'PermitTransferFrom',
+  [MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM]: 'PermitBatchTransferFrom',
+  [MESSAGE_TYPES.PERMIT_SINGLE]: 'PermitSingle',
+  [MESSAGE_TYPES.PERMIT_BATCH]: 'PermitBatch'
+};
+
+// Envelope fields in canonical order
+const ENVELOPE_FIELDS = [
+  'version',
+  'type',
+  'chainId',
+  'verifyingContract',
+  'owner',
+  'permit',
+  'transferDetails',
+  'witness',
+  'witnessTypeString',
+  'signature'
+];
+
+/**
+ * Normalizes an address to base58
+ * @param {*} value - Address as base58, 41-hex, 0x41-hex or 0x-hex (20 bytes)
+ * @param {string} path - Field path for error messages
+ * @returns {string} Base58 address
+ * @throws {ValidationError} If the value is not an address
+ */
+function normalizeAddress(value, path) {
+  validationHelpers.validateAddress(value, path);
+  return addressHelpers.toBase58(value);
+}
+
+/**
+ * Normalizes an unsigned integer to a decimal string
+ * @param {*} value - Safe integer number, decimal or 0x-hex string, or BigInt
+ * @param {number} bits - Bit size of the Solidity type (e.g. 160 for uint160)
+ * @param {string} path - Field path for error messages
+ * @returns {string} Decimal string
+ * @throws {ValidationError} If the value is not an integer or is out of range
+ */
+function normalizeUint(value, bits, path) {
+  return validationHelpers.validateUint(value, `uint${bits}`, path).toString();
+}
+
+/**
+ * Normalizes a hex byte string to lowercase 0x-hex
+ * @param {*} value - Hex string
+ * @param {Array<number>} lengths - Accepted lengths in bytes
+ * @param {string} path - Field path for error messages
+ * @returns {string} Lowercase 0x-hex string
+ * @throws {ValidationError} If the value is not hex of an accepted length
+ */
+function normalizeBytes(value, lengths, path) {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]*$/.test(value) || !lengths.includes((value.length - 2) / 2)) {
+    throw new ValidationError(path, `expected a 0x-hex string of ${lengths.join(' or ')} bytes`, value);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Normalizes a value of a Solidity or struct type, field by field
+ * @param {string} type - Type name from SERIALIZATION_TYPES, an array of one, address or uintN
+ * @param {*} value - Value to normalize
+ * @param {string} path - Field path for error messages
+ * @returns {*} Normalized value
+ * @throws {ValidationError} If the value does not match the type
+ */
+function normalizeValue(type, value, path) {
+  const arrayMatch = type.match(/^(.*)\[\]$/);
+  if (arrayMatch) {
+    if (!Array.isArray(value)) {
+      throw new ValidationError(path, 'expected an array', value);
+    }
+    return value.map((element, i) => normalizeValue(arrayMatch[1], element, `${path}[${i}]`));
+  }
+
+  const fields = SERIALIZATION_TYPES[type];
+  if (fields) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError(path, `expected a ${type} object`, value);
+    }
+    const unknown = Object.keys(value).filter(key => !fields.some(field => field.name === key));
+    if (unknown.length > 0) {
+      throw new ValidationError(path, `unknown field(s): ${unknown.join(', ')}`, value);
+    }
+
+    const normalized = {};
+    for (const field of fields) {
+      normalized[field.name] = normalizeValue(field.type, value[field.name], `${path}.${field.name}`);
+    }
+    return normalized;
+  }
+
+  if (type === 'address') {
+    return normalizeAddress(value, path);
+  }
+
+  const uintMatch = type.match(/^uint(\d+)$/);
+  if (uintMatch) {
+    return normalizeUint(value, Number(uintMatch[1]), path);
+  }
+
+  // Only reachable if SERIALIZATION_TYPES names a type this function does not handle
+  throw new Error(`Unsupported type ${type} at ${path}`);
+}
+
+/**
+ * Validates a signed permit and converts it to its canonical form
+ * @param {Object} signedPermit - Signed permit (see the format above; version may be omitted)
+ * @returns {Object} Canonical signed permit with fields in canonical order
+ * @throws {ValidationError} If any field is missing, malformed, out of range or unknown
+ */
+function normalizeSignedPermit(signedPermit) {
+  if (!signedPermit || typeof signedPermit !== 'object' || Array.isArray(signedPermit)) {
+    throw new ValidationError('signedPermit', 'expected an object', signedPermit);
+  }
+  const unknown = Object.keys(signedPermit).filter(key => !ENVELOPE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError('signedPermit', `unknown field(s): ${unknown.join(', ')}`, signedPermit);
+  }
+
+  const version = signedPermit.version === undefined ? SERIALIZATION_VERSION : signedPermit.version;
+  if (version !== SERIALIZATION_VERSION) {
+    throw new ValidationError('version', `unsupported version ${JSON.stringify(version)}, expected ${SERIALIZATION_VERSION}`, version);
+  }
+
+  const structType = PERMIT_STRUCT_TYPES[signedPermit.type];
+  if (!structType) {
+    throw new ValidationError('type', `expected one of ${Object.keys(PERMIT_STRUCT_TYPES).join(', ')}`, signedPermit.type);
+  }
+  const isSignatureTransfer = structType === 'PermitTransferFrom' || structType === 'PermitBatchTransferFrom';
+  const isWitness = signedPermit.type === MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM ||
+    signedPermit.type === MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM;
+
+  const normalized = {
+    version,
+    type: signedPermit.type,
+    chainId: domainHelpers.maskChainId(normalizeUint(signedPermit.chainId, 256, 'chainId')),
+    verifyingContract: normalizeAddress(signedPermit.verifyingContract, 'verifyingContract')
+  };
+
+  if (signedPermit.owner !== undefined) {
+    normalized.owner = normalizeAddress(signedPermit.owner, 'owner');
+  }
+
+  normalized.permit = normalizeValue(structType, signedPermit.permit, 'permit');
+
+  if (signedPermit.transferDetails !== undefined) {
+    if (!isSignatureTransfer) {
+      throw new ValidationError('transferDetails', `not allowed for ${signedPermit.type}`, signedPermit.transferDetails);
+    }
+    const detailsType = structType === 'PermitBatchTransferFrom' ? 'SignatureTransferDetails[]' : 'SignatureTransferDetails';
+    normalized.transferDetails = normalizeValue(detailsType, signedPermit.transferDetails, 'transferDetails');
+  }
+
+  if (isWitness) {
+    normalized.witness = normalizeBytes(signedPermit.witness, [32], 'witness');
+    if (typeof signedPermit.witnessTypeString !== 'string' || signedPermit.witnessTypeString.length === 0) {
+      throw new ValidationError('witnessTypeString', 'expected a non-empty string', signedPermit.witnessTypeString);
+    }
+    normalized.witnessTypeString = signedPermit.witnessTypeString;
+  } else if (signedPermit.witness !== undefined || signedPermit.witnessTypeString !== undefined) {
+    throw new ValidationError('witness', `not allowed for ${signedPermit.type}`, signedPermit.witness);
+  }
+
+  normalized.signature = normalizeBytes(signedPermit.signature, [65, 64], 'signature');
+
+  return normalized;
+}
+
+/**
+ * Serializes a signed permit to canonical JSON
+ * @param {Object} signedPermit - Signed permit with type, chainId, verifyingContract, permit and signature
+ *   (plus owner, transferDetails, witness and witnessTypeString where applicable), e.g. a permit from createPermit
+ * @returns {string} Canonical JSON string
+ * @throws {ValidationError} If the signed permit is invalid
+ */
+function serializeSignedPermit(signedPermit) {
+  return JSON.stringify(normalizeSignedPermit(signedPermit));
+}
+
+/**
+ * Parses a signed permit from JSON
+ * @param {string|Object} json - JSON string, or an already parsed object
+ * @returns {Object} Canonical signed permit; permit and transferDetails have the shape of the create* helpers
+ *   with base58 addresses and decimal string integers
+ * @throws {ValidationError} If the JSON is invalid, has no or an unsupported version, or fails validation
+ */
+function parseSignedPermit(json) {
+  let value = json;
+  if (typeof json === 'string') {
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      throw new ValidationError('signedPermit', `not valid JSON: ${error.message}`, json);
+    }
+  }
+
+  if (value && typeof value === 'object' && value.version === undefined) {
+    throw new ValidationError('version', 'parsed signed permits must carry a version', undefined);
+  }
+  return normalizeSignedPermit(value);
+}
+
+module.exports = {
+  SERIALIZATION_VERSION,
+  SERIALIZATION_TYPES,
+  normalizeAddress,
+  normalizeUint,
+  normalizeSignedPermit,
+  serializeSignedPermit,
+  parseSignedPermit
+};
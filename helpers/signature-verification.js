@@ -0,0 +1,112 @@
+/**
+ * Signature Verification for Permit2 on Tron
+ *
+ * Mirrors SignatureVerification.verify off-chain, including the branch the
+ * pure hash helpers cannot take: when the claimed signer has code (a smart
+ * wallet), Permit2 ignores ECDSA and calls IERC1271.isValidSignature on it,
+ * accepting the signature only if the 0x1626ba7e magic value comes back.
+ * Signers without code go through hashHelpers.verify, which applies the same
+ * v, r and s rules as ecrecover.
+ */
+
+const addressHelpers = require('./address-helpers');
+const hashHelpers = require('./hash-helpers');
+
+// Message TronWeb's getContract throws when the node has no contract at the address
+const NO_CONTRACT_ERROR = 'Contract does not exist';
+
+// IERC1271.isValidSignature.selector
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const IERC1271_ABI = [
+  {
+    type: 'function',
+    name: 'isValidSignature',
+    stateMutability: 'view',
+    inputs: [{ name: 'hash', type: 'bytes32' }, { name: 'signature', type: 'bytes' }],
+    outputs: [{ name: 'magicValue', type: 'bytes4' }]
+  }
+];
+
+/**
+ * Checks whether an address has contract code (claimedSigner.code.length != 0)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} address - Address to check
+ * @returns {Promise<boolean>} True if a contract is deployed at the address
+ * @throws {Error} If the node cannot be reached or fails, rather than treating the signer as an account
+ */
+async function hasCode(tronWeb, address) {
+  try {
+    const contract = await tronWeb.trx.getContract(addressHelpers.toTronHex(address));
+    return Boolean(contract && contract.bytecode);
+  } catch (error) {
+    // getContract throws for accounts that hold no contract
+    if (error && error.message === NO_CONTRACT_ERROR) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Calls IERC1271.isValidSignature on a contract signer with a constant call
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} contractSigner - Address of the signing contract
+ * @param {string} hash - Hash that was signed
+ * @param {string} signature - Signature bytes, passed to the contract unchanged
+ * @param {string} caller - msg.sender of the call (the Permit2 contract on-chain; defaults to the contract itself)
+ * @returns {Promise<Object>} Object containing valid, magicValue (0x-prefixed bytes4, or null) and reverted
+ */
+async function isValidSignature(tronWeb, contractSigner, hash, signature, caller = contractSigner) {
+  const fragment = IERC1271_ABI[0];
+  const response = await tronWeb.transactionBuilder.triggerConstantContract(
+    addressHelpers.toTronHex(contractSigner),
+    'isValidSignature(bytes32,bytes)',
+    { rawParameter: tronWeb.utils.abi.encodeParamsV2ByABI(fragment, [hash, signature]) },
+    [],
+    addressHelpers.toTronHex(caller)
+  );
+
+  const result = response.constant_result ? response.constant_result[0] || '' : '';
+  const reverted = Boolean(response.transaction && response.transaction.ret &&
+    response.transaction.ret.some(ret => ret.ret === 'FAILED'));
+  // bytes4 is returned left-aligned in a 32-byte word
+  const magicValue = !reverted && result.length >= 8 ? '0x' + result.slice(0, 8).toLowerCase() : null;
+
+  return { valid: magicValue === ERC1271_MAGIC_VALUE, magicValue, reverted };
+}
+
+/**
+ * Mimics SignatureVerification.verify, including ERC-1271 contract signers
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} signature - Signature to verify (65 or 64 bytes for EOAs, any bytes for contract signers)
+ * @param {string} hash - Hash that was signed
+ * @param {string} claimedSigner - Address claiming to have signed
+ * @param {Object} options - Verification options
+ * @param {string} options.caller - msg.sender for isValidSignature (pass the Permit2 address, as on-chain)
+ * @returns {Promise<boolean>} True if the signature is valid
+ * @throws {Error} InvalidSignatureLength, InvalidSignature or InvalidSigner for EOAs (see hashHelpers.verify),
+ *   InvalidContractSignature if the contract signer does not return the magic value
+ */
+async function verify(tronWeb, signature, hash, claimedSigner, options = {}) {
+  if (!(await hasCode(tronWeb, claimedSigner))) {
+    return hashHelpers.verify(tronWeb, signature, hash, claimedSigner);
+  }
+
+  const { magicValue, reverted } = await isValidSignature(tronWeb, claimedSigner, hash, signature, options.caller);
+  if (magicValue !== ERC1271_MAGIC_VALUE) {
+    throw new Error(reverted
+      ? `InvalidContractSignature: isValidSignature reverted on ${addressHelpers.toBase58(claimedSigner)}`
+      : `InvalidContractSignature: ${addressHelpers.toBase58(claimedSigner)} returned ${magicValue || 'nothing'}`);
+  }
+  return true;
+}
+
+module.exports = {
+  NO_CONTRACT_ERROR,
+  ERC1271_MAGIC_VALUE,
+  IERC1271_ABI,
+  hasCode,
+  isValidSignature,
+  verify
+};
@@ -0,0 +1,174 @@
+/**
+ * Signer Helper Functions for Permit2 on Tron
+ *
+ * These helper functions wrap the different ways of producing a signature over a
+ * TIP-712 digest (raw private key, TronWeb instance, external callback) behind a
+ * single signer interface, and sign any Permit2 message type with it.
+ */
+
+const permitHelpers = require('./permit-helpers');
+
+// Permit2 message types that can be signed with signPermit
+const MESSAGE_TYPES = {
+  PERMIT_TRANSFER_FROM: 'PermitTransferFrom',
+  PERMIT_BATCH_TRANSFER_FROM: 'PermitBatchTransferFrom',
+  PERMIT_WITNESS_TRANSFER_FROM: 'PermitWitnessTransferFrom',
+  PERMIT_BATCH_WITNESS_TRANSFER_FROM: 'PermitBatchWitnessTransferFrom',
+  PERMIT_SINGLE: 'PermitSingle',
+  PERMIT_BATCH: 'PermitBatch'
+};
+
+/**
+ * Creates a signer that signs a raw digest with a private key
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} privateKey - Private key (with or without 0x prefix)
+ * @returns {Object} Signer with address and signHash(hash)
+ */
+function createPrivateKeySigner(tronWeb, privateKey) {
+  const privateKeyWithPrefix = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+  const signingKey = new tronWeb.utils.ethersUtils.SigningKey(privateKeyWithPrefix);
+
+  return {
+    address: tronWeb.address.fromPrivateKey(privateKeyWithPrefix.slice(2)),
+    signHash: async (hash) => signingKey.sign(hash).serialized
+  };
+}
+
+/**
+ * Creates a signer from any supported source
+ *
+ * Supported sources:
+ * - a private key string
+ * - a TronWeb instance with a default private key
+ * - a callback `async (hash) => signature`
+ * - an object that already implements `signHash(hash)`
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string|Object|Function} source - Signing source
+ * @returns {Object} Signer with signHash(hash) and, when known, address
+ */
+function createSigner(tronWeb, source) {
+  if (typeof source === 'string') {
+    return createPrivateKeySigner(tronWeb, source);
+  }
+
+  if (typeof source === 'function') {
+    return {
+      address: null,
+      signHash: async (hash) => source(hash)
+    };
+  }
+
+  if (source && typeof source.signHash === 'function') {
+    return source;
+  }
+
+  if (source && source.trx && source.address) {
+    if (!source.defaultPrivateKey) {
+      throw new Error('TronWeb instance has no default private key to sign with');
+    }
+    return createPrivateKeySigner(tronWeb, source.defaultPrivateKey);
+  }
+
+  throw new Error('Invalid signer source: expected a private key, TronWeb instance, callback or signer object');
+}
+
+/**
+ * Converts a signature to its EIP-2098 compact (64-byte) form
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} signature - 65-byte or 64-byte signature
+ * @returns {string} 64-byte compact signature
+ */
+function toCompactSignature(tronWeb, signature) {
+  return tronWeb.utils.ethersUtils.Signature.from(signature).compactSerialized;
+}
+
+/**
+ * Converts a signature to its standard (65-byte) form with v as 27 or 28
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} signature - 65-byte or 64-byte signature
+ * @returns {string} 65-byte signature
+ */
+function toFullSignature(tronWeb, signature) {
+  return tronWeb.utils.ethersUtils.Signature.from(signature).serialized;
+}
+
+/**
+ * Signs a digest with a signer
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} signer - Signer from createSigner
+ * @param {string} hash - Digest to sign (bytes32)
+ * @param {Object} options - Signing options
+ * @param {boolean} options.compact - Return a 64-byte EIP-2098 signature instead of 65 bytes
+ * @returns {Promise<string>} Signature
+ */
+async function signHash(tronWeb, signer, hash, options = {}) {
+  const signature = await signer.signHash(hash);
+
+  // Normalize external signatures (e.g. v = 0/1) before handing them to the contract
+  return options.compact
+    ? toCompactSignature(tronWeb, signature)
+    : toFullSignature(tronWeb, signature);
+}
+
+/**
+ * Computes the TIP-712 digest for any Permit2 message type
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {Object} message - Permit object from the matching create* helper
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @param {Object} options - Witness options for the witness message types
+ * @param {string} options.witness - Witness hash (bytes32)
+ * @param {string} options.witnessTypeString - Witness type string
+ * @returns {string} Final hash ready for signing
+ */
+function getPermitHash(tronWeb, messageType, message, domainSeparator, options = {}) {
+  switch (messageType) {
+    case MESSAGE_TYPES.PERMIT_TRANSFER_FROM:
+      return permitHelpers.getPermitTransferFromHash(tronWeb, message, domainSeparator).finalHash;
+    case MESSAGE_TYPES.PERMIT_BATCH_TRANSFER_FROM:
+      return permitHelpers.getPermitBatchTransferFromHash(tronWeb, message, domainSeparator).finalHash;
+    case MESSAGE_TYPES.PERMIT_WITNESS_TRANSFER_FROM:
+      return permitHelpers.getPermitWitnessTransferFromHash(
+        tronWeb, message, options.witness, options.witnessTypeString, message.spender, domainSeparator
+      ).finalHash;
+    case MESSAGE_TYPES.PERMIT_BATCH_WITNESS_TRANSFER_FROM:
+      return permitHelpers.getPermitBatchWitnessTransferFromHash(
+        tronWeb, message, options.witness, options.witnessTypeString, message.spender, domainSeparator
+      ).finalHash;
+    case MESSAGE_TYPES.PERMIT_SINGLE:
+      return permitHelpers.getPermitSingleHash(tronWeb, message, domainSeparator).finalHash;
+    case MESSAGE_TYPES.PERMIT_BATCH:
+      return permitHelpers.getPermitBatchHash(tronWeb, message, domainSeparator).finalHash;
+    default:
+      throw new Error(`Unknown Permit2 message type: ${messageType}`);
+  }
+}
+
+/**
+ * Hashes and signs any Permit2 message type
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} signer - Signer from createSigner
+ * @param {string} messageType - One of MESSAGE_TYPES
+ * @param {Object} message - Permit object from the matching create* helper
+ * @param {string} domainSeparator - Domain separator from the contract
+ * @param {Object} options - Signing options
+ * @param {boolean} options.compact - Return a 64-byte EIP-2098 signature instead of 65 bytes
+ * @param {string} options.witness - Witness hash for the witness message types
+ * @param {string} options.witnessTypeString - Witness type string for the witness message types
+ * @returns {Promise<string>} Signature ready to submit
+ */
+async function signPermit(tronWeb, signer, messageType, message, domainSeparator, options = {}) {
+  const hash = getPermitHash(tronWeb, messageType, message, domainSeparator, options);
+  return signHash(tronWeb, signer, hash, options);
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  createSigner,
+  createPrivateKeySigner,
+  toCompactSignature,
+  toFullSignature,
+  signHash,
+  getPermitHash,
+  signPermit
+};
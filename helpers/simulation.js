@@ -0,0 +1,247 @@
+/**
+ * Pre-flight Simulation for Permit2 on Tron
+ *
+ * Failed TRON transactions still burn energy, so permit operations can be
+ * dry-run first: the exact calldata goes through triggerConstantContract and
+ * any revert is decoded, while local checks cover the usual causes (deadline,
+ * used nonce, owner balance, TRC20 allowance to Permit2, signature). The
+ * results are collected into a go/no-go report.
+ */
+
+const addressHelpers = require('./address-helpers');
+const signatureVerification = require('./signature-verification');
+const errors = require('./errors');
+
+// Minimal TRC20 ABI for the balance and allowance checks
+const TRC20_ABI = [
+  {
+    type: 'function',
+    name: 'balanceOf',
+    stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'allowance',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+/**
+ * Formats an ABI parameter type, expanding tuples into their component types
+ * @param {Object} param - ABI input ({ type, components })
+ * @returns {string} Canonical type (e.g. "((address,uint256),uint256,uint256)")
+ */
+function formatParamType(param) {
+  if (!param.type.startsWith('tuple')) {
+    return param.type;
+  }
+  return `(${param.components.map(formatParamType).join(',')})${param.type.slice('tuple'.length)}`;
+}
+
+/**
+ * Builds the canonical signature of a function fragment
+ * @param {Object} fragment - ABI function fragment
+ * @returns {string} Function signature (e.g. "approve(address,address,uint160,uint48)")
+ */
+function getFunctionSignature(fragment) {
+  return `${fragment.name}(${fragment.inputs.map(formatParamType).join(',')})`;
+}
+
+/**
+ * Finds a function in an ABI by full signature, or by name when it is not overloaded
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {string} method - Function signature or name
+ * @returns {Object} ABI function fragment
+ * @throws {Error} If the function is missing or the name is overloaded
+ */
+function getFunctionFragment(abi, method) {
+  const functions = abi.filter(fragment => fragment.type === 'function');
+  const bySignature = functions.find(fragment => getFunctionSignature(fragment) === method);
+  if (bySignature) {
+    return bySignature;
+  }
+
+  const byName = functions.filter(fragment => fragment.name === method);
+  if (byName.length !== 1) {
+    throw new Error(byName.length ? `Function ${method} is overloaded, use its full signature` : `Function ${method} not found in ABI`);
+  }
+  return byName[0];
+}
+
+/**
+ * Reads the timestamp of the latest block, which is what block.timestamp will be compared against
+ * @param {Object} tronWeb - TronWeb instance
+ * @returns {Promise<number>} Unix timestamp in seconds
+ */
+async function getBlockTimestamp(tronWeb) {
+  const block = await tronWeb.trx.getCurrentBlock();
+  return Math.floor(block.block_header.raw_data.timestamp / 1000);
+}
+
+/**
+ * Runs a contract call through triggerConstantContract with the exact calldata a send would use
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} contractAddress - Contract address
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {string} method - Function signature or name
+ * @param {Array} args - Call arguments, as passed to the TronWeb contract method
+ * @param {string} from - Address the call is simulated from (msg.sender)
+ * @returns {Promise<Object>} Object containing success, energyUsed, result and revert (Permit2Error or null)
+ */
+async function simulateCall(tronWeb, contractAddress, abi, method, args, from) {
+  const fragment = getFunctionFragment(abi, method);
+  const rawParameter = tronWeb.utils.abi.encodeParamsV2ByABI(fragment, args);
+
+  const response = await tronWeb.transactionBuilder.triggerConstantContract(
+    addressHelpers.toTronHex(contractAddress),
+    getFunctionSignature(fragment),
+    { rawParameter },
+    [],
+    addressHelpers.toTronHex(from)
+  );
+
+  const revert = errors.toPermit2Error(tronWeb, response);
+  const failed = Boolean(revert) || (response.transaction && response.transaction.ret &&
+    response.transaction.ret.some(ret => ret.ret === 'FAILED'));
+
+  return {
+    success: !failed,
+    energyUsed: response.energy_used || 0,
+    result: response.constant_result ? response.constant_result[0] : null,
+    revert: revert || (failed ? new errors.UnknownRevertError('Constant call failed without revert data') : null)
+  };
+}
+
+/**
+ * Creates a check entry for a report
+ * @param {string} name - Check name
+ * @param {boolean} ok - Whether the check passed
+ * @param {string} message - Readable result
+ * @returns {Object} Check entry
+ */
+function createCheck(name, ok, message) {
+  return { name, ok, message };
+}
+
+/**
+ * Checks a signature or allowance deadline against the block timestamp (reverts when block.timestamp > deadline)
+ * @param {number|string} deadline - Deadline from the permit
+ * @param {number} now - Block timestamp in seconds
+ * @returns {Object} Check entry
+ */
+function checkDeadline(deadline, now) {
+  const ok = BigInt(now) <= BigInt(deadline);
+  return createCheck('deadline', ok, ok
+    ? `Deadline ${deadline} is after block time ${now}`
+    : `Deadline ${deadline} passed before block time ${now}`);
+}
+
+/**
+ * Checks that an unordered (SignatureTransfer) nonce has not been used
+ * @param {Object} nonceManager - UnorderedNonceManager for the Permit2 contract
+ * @param {string} owner - Token owner address
+ * @param {number|string} nonce - Nonce from the permit
+ * @returns {Promise<Object>} Check entry
+ */
+async function checkUnorderedNonce(nonceManager, owner, nonce) {
+  const used = await nonceManager.isNonceUsed(owner, nonce);
+  return createCheck('nonce', !used, used ? `Nonce ${nonce} has already been used or invalidated` : `Nonce ${nonce} is unused`);
+}
+
+/**
+ * Checks that an ordered (AllowanceTransfer) nonce matches the current one
+ * @param {Object} allowanceClient - AllowanceClient for the Permit2 contract
+ * @param {string} owner - Token owner address
+ * @param {string} token - Token address
+ * @param {string} spender - Spender address
+ * @param {number|string} nonce - Nonce from the permit details
+ * @returns {Promise<Object>} Check entry
+ */
+async function checkOrderedNonce(allowanceClient, owner, token, spender, nonce) {
+  const current = await allowanceClient.getNonce(owner, token, spender);
+  const ok = Number(nonce) === current;
+  return createCheck('nonce', ok, ok ? `Nonce ${nonce} is current for ${token}` : `Nonce ${nonce} does not match current nonce ${current} for ${token}`);
+}
+
+/**
+ * Checks that the owner holds enough tokens and has approved Permit2 for them
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} token - TRC20 token address
+ * @param {string} owner - Token owner address
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {string|number|bigint} amount - Amount that will be transferred
+ * @returns {Promise<Array<Object>>} Balance and TRC20 allowance check entries
+ */
+async function checkTokenFunds(tronWeb, token, owner, permit2Address, amount) {
+  const trc20 = tronWeb.contract(TRC20_ABI, addressHelpers.toTronHex(token));
+  const ownerHex = addressHelpers.toTronHex(owner);
+  const balance = BigInt((await trc20.balanceOf(ownerHex).call()).toString());
+  const allowance = BigInt((await trc20.allowance(ownerHex, addressHelpers.toTronHex(permit2Address)).call()).toString());
+  const required = BigInt(amount);
+
+  return [
+    createCheck('balance', balance >= required, `Owner balance of ${token} is ${balance}, ${required} required`),
+    createCheck('trc20Allowance', allowance >= required, `Owner approved ${allowance} of ${token} to Permit2, ${required} required`)
+  ];
+}
+
+/**
+ * Checks that a signature is valid for the owner (via signatureVerification.verify, so contract
+ * owners are checked with ERC-1271)
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} signature - Owner's signature
+ * @param {string} hash - Final TIP-712 hash of the permit
+ * @param {string} owner - Token owner address
+ * @param {string} permit2Address - Address of the Permit2 contract (msg.sender of isValidSignature)
+ * @returns {Promise<Object>} Check entry
+ */
+async function checkSignature(tronWeb, signature, hash, owner, permit2Address) {
+  try {
+    await signatureVerification.verify(tronWeb, signature, hash, owner, { caller: permit2Address });
+    return createCheck('signature', true, 'Signature is valid for the owner');
+  } catch (error) {
+    return createCheck('signature', false, error.message);
+  }
+}
+
+/**
+ * Combines local checks and the constant call into a go/no-go report
+ * @param {string} method - Simulated method
+ * @param {Array<Object>} checks - Check entries
+ * @param {Object} call - Result of simulateCall
+ * @returns {Object} Report containing ok, method, checks, failures, revert and energyUsed
+ */
+function createReport(method, checks, call) {
+  const allChecks = [
+    ...checks,
+    createCheck('constantCall', call.success, call.success ? 'Constant call succeeded' : call.revert.message)
+  ];
+
+  return {
+    ok: allChecks.every(check => check.ok),
+    method,
+    checks: allChecks,
+    failures: allChecks.filter(check => !check.ok).map(check => check.name),
+    revert: call.revert,
+    energyUsed: call.energyUsed
+  };
+}
+
+module.exports = {
+  TRC20_ABI,
+  getFunctionSignature,
+  getFunctionFragment,
+  getBlockTimestamp,
+  simulateCall,
+  createCheck,
+  checkDeadline,
+  checkUnorderedNonce,
+  checkOrderedNonce,
+  checkTokenFunds,
+  checkSignature,
+  createReport
+};
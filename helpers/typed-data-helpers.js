@@ -0,0 +1,214 @@
+/**
+ * TIP-712 Typed Data Helper Functions for Permit2 on Tron
+ *
+ * A generic encodeType/hashStruct implementation following EIP-712, with the
+ * TIP-712 rule that addresses are encoded as uint160. Use these to hash witness
+ * structs of any shape and to build the witnessTypeString Permit2 expects.
+ */
+
+const addressHelpers = require('./address-helpers');
+const hashHelpers = require('./hash-helpers');
+
+// Type string of the struct every SignatureTransfer witness type string references
+const TOKEN_PERMISSIONS_TYPE = {
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+/**
+ * Splits an array type into its element type, e.g. "Item[2]" -> "Item"
+ * @param {string} type - Field type
+ * @returns {string|null} Element type, or null if the type is not an array
+ */
+function getArrayElementType(type) {
+  const match = type.match(/^(.*)\[(\d*)\]$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Strips array suffixes from a type, e.g. "Item[][]" -> "Item"
+ * @param {string} type - Field type
+ * @returns {string} Base type
+ */
+function getBaseType(type) {
+  return type.replace(/(\[\d*\])+$/, '');
+}
+
+/**
+ * Collects the struct types referenced by a type, including the type itself
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Type to collect dependencies for
+ * @param {Array<string>} found - Accumulator of already visited types
+ * @returns {Array<string>} Names of all struct types reachable from primaryType
+ */
+function findTypeDependencies(types, primaryType, found = []) {
+  const baseType = getBaseType(primaryType);
+
+  if (found.includes(baseType) || !types[baseType]) {
+    return found;
+  }
+
+  found.push(baseType);
+  for (const field of types[baseType]) {
+    findTypeDependencies(types, field.type, found);
+  }
+
+  return found;
+}
+
+/**
+ * Encodes a single struct type without its dependencies, e.g. "Mail(address from,string contents)"
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} typeName - Struct type to encode
+ * @returns {string} Encoded struct type
+ */
+function encodeStructType(types, typeName) {
+  const fields = types[typeName].map(field => `${field.type} ${field.name}`);
+  return `${typeName}(${fields.join(',')})`;
+}
+
+/**
+ * Mimics EIP-712 encodeType: the primary type followed by its referenced types sorted by name
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Struct type to encode
+ * @returns {string} Full type string
+ */
+function encodeType(types, primaryType) {
+  if (!types[primaryType]) {
+    throw new Error(`Unknown type: ${primaryType}`);
+  }
+
+  const dependencies = findTypeDependencies(types, primaryType)
+    .filter(type => type !== primaryType)
+    .sort();
+
+  return [primaryType, ...dependencies].map(type => encodeStructType(types, type)).join('');
+}
+
+/**
+ * Computes keccak256(encodeType(primaryType))
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Struct type to hash
+ * @returns {string} Type hash (bytes32)
+ */
+function typeHash(tronWeb, types, primaryType) {
+  return tronWeb.utils.ethersUtils.keccak256(
+    tronWeb.utils.ethersUtils.toUtf8Bytes(encodeType(types, primaryType))
+  );
+}
+
+/**
+ * Encodes one field value into an ABI type/value pair according to EIP-712 encodeData rules
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} type - Field type
+ * @param {*} value - Field value
+ * @returns {Array} [abiType, abiValue] pair
+ */
+function encodeField(tronWeb, types, type, value) {
+  // Nested structs are replaced by their hashStruct
+  if (types[type]) {
+    return ['bytes32', hashStruct(tronWeb, types, type, value)];
+  }
+
+  // Arrays are hashed as the concatenation of their encoded elements
+  const elementType = getArrayElementType(type);
+  if (elementType !== null) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Expected array value for type ${type}`);
+    }
+    const encodedElements = value.map(element => {
+      const [elementAbiType, elementValue] = encodeField(tronWeb, types, elementType, element);
+      return tronWeb.utils.abi.encodeParams([elementAbiType], [elementValue]);
+    });
+    return ['bytes32', hashHelpers.hashArray(tronWeb, encodedElements)];
+  }
+
+  // Dynamic types are replaced by their keccak256 hash
+  if (type === 'string') {
+    return ['bytes32', tronWeb.utils.ethersUtils.keccak256(tronWeb.utils.ethersUtils.toUtf8Bytes(value))];
+  }
+  if (type === 'bytes') {
+    return ['bytes32', tronWeb.utils.ethersUtils.keccak256(value)];
+  }
+
+  // TIP-712: addresses are encoded as uint160 (the 41 prefix is dropped)
+  if (type === 'address') {
+    return ['uint160', addressHelpers.toUint160(value)];
+  }
+
+  if (type === 'bool' || /^u?int(\d*)$/.test(type) || /^bytes([1-9]|[12]\d|3[0-2])$/.test(type)) {
+    return [type, typeof value === 'bigint' ? value.toString() : value];
+  }
+
+  throw new Error(`Unsupported type: ${type}`);
+}
+
+/**
+ * Mimics EIP-712 encodeData: typeHash followed by each encoded field
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Struct type of data
+ * @param {Object} data - Struct value keyed by field name
+ * @returns {string} ABI encoded struct data
+ */
+function encodeData(tronWeb, types, primaryType, data) {
+  const abiTypes = ['bytes32'];
+  const abiValues = [typeHash(tronWeb, types, primaryType)];
+
+  for (const field of types[primaryType]) {
+    if (data[field.name] === undefined) {
+      throw new Error(`Missing value for field ${primaryType}.${field.name}`);
+    }
+    const [abiType, abiValue] = encodeField(tronWeb, types, field.type, data[field.name]);
+    abiTypes.push(abiType);
+    abiValues.push(abiValue);
+  }
+
+  return tronWeb.utils.abi.encodeParams(abiTypes, abiValues);
+}
+
+/**
+ * Mimics EIP-712 hashStruct: keccak256(encodeData(primaryType, data))
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} primaryType - Struct type of data
+ * @param {Object} data - Struct value keyed by field name
+ * @returns {string} Struct hash (bytes32)
+ */
+function hashStruct(tronWeb, types, primaryType, data) {
+  return tronWeb.utils.ethersUtils.keccak256(encodeData(tronWeb, types, primaryType, data));
+}
+
+/**
+ * Builds the witnessTypeString passed to permitWitnessTransferFrom, e.g.
+ * "ExtraData witness)ExtraData(uint256 value)TokenPermissions(address token,uint256 amount)"
+ * @param {Object} types - Map of type name to array of { name, type } fields
+ * @param {string} witnessType - Struct type of the witness
+ * @returns {string} Witness type string completing the Permit2 type stub
+ */
+function getWitnessTypeString(types, witnessType) {
+  const allTypes = { ...types, ...TOKEN_PERMISSIONS_TYPE };
+
+  // The witness struct and TokenPermissions are both referenced types of the permit, so all are sorted together
+  const referencedTypes = findTypeDependencies(allTypes, witnessType);
+  if (!referencedTypes.includes('TokenPermissions')) {
+    referencedTypes.push('TokenPermissions');
+  }
+
+  const encodedTypes = referencedTypes.sort().map(type => encodeStructType(allTypes, type)).join('');
+  return `${witnessType} witness)${encodedTypes}`;
+}
+
+module.exports = {
+  TOKEN_PERMISSIONS_TYPE,
+  findTypeDependencies,
+  encodeType,
+  typeHash,
+  encodeData,
+  hashStruct,
+  getWitnessTypeString
+};
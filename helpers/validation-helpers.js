@@ -0,0 +1,285 @@
+/**
+ * Input Validation Helper Functions for Permit2 on Tron
+ *
+ * These helper functions check permit inputs before they are hashed, signed or
+ * sent, so a bad value fails with a descriptive error instead of an opaque
+ * on-chain REVERT (or a valid signature over the wrong values). They check
+ * address format, integer ranges matching the Solidity types, deadlines that
+ * are in the past or look like milliseconds, and requested transfer amounts.
+ */
+
+const addressHelpers = require('./address-helpers');
+
+// Seconds timestamps stay below 1e12 until the year 33658, while millisecond
+// timestamps have been above it since 2001. The range ends at 1e14 so that
+// "never expires" values such as type(uint48).max are still accepted.
+const MILLISECONDS_MIN = 1e12;
+const MILLISECONDS_MAX = 1e14;
+
+/**
+ * Error thrown when a permit input is invalid
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} field - Name of the invalid field (e.g. "permit.deadline")
+   * @param {string} message - Readable reason
+   * @param {*} value - The invalid value
+   */
+  constructor(field, message, value) {
+    super(`Invalid ${field}: ${message}`);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.value = value;
+  }
+}
+
+/**
+ * Formats a value for an error message
+ * @param {*} value - Any value
+ * @returns {string} Readable representation
+ */
+function describe(value) {
+  return typeof value === 'bigint' ? `${value}n` : JSON.stringify(value);
+}
+
+/**
+ * Checks that a value is an address (base58 with a valid checksum, 41-hex, 0x41-hex or 20-byte 0x-hex)
+ * @param {*} address - Value to check
+ * @param {string} field - Field name for the error
+ * @returns {string} The address, unchanged
+ * @throws {ValidationError} If the value is not an address
+ */
+function validateAddress(address, field = 'address') {
+  if (typeof address !== 'string') {
+    throw new ValidationError(field, `expected an address string, got ${describe(address)}`, address);
+  }
+  if (addressHelpers.isAddress(address)) {
+    return address;
+  }
+  if (address.length === 34 && address.startsWith('T')) {
+    throw new ValidationError(field, `base58 address has an invalid checksum: ${address}`, address);
+  }
+  throw new ValidationError(field, `expected a base58, 41-hex or 0x-hex address, got ${describe(address)}`, address);
+}
+
+/**
+ * Checks that a value is an unsigned integer that fits a Solidity type
+ * @param {*} value - Safe integer number, decimal or 0x-hex string, or BigInt
+ * @param {string} type - Solidity type, e.g. uint48, uint160 or uint256
+ * @param {string} field - Field name for the error
+ * @returns {bigint} The value as a BigInt
+ * @throws {ValidationError} If the value is not an integer or is out of range
+ */
+function validateUint(value, type, field = 'value') {
+  const bits = Number(type.replace('uint', ''));
+  let parsed;
+
+  if (typeof value === 'bigint') {
+    parsed = value;
+  } else if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      throw new ValidationError(field, `expected an integer, got ${describe(value)}`, value);
+    }
+    if (!Number.isSafeInteger(value)) {
+      // Precision is already lost, so the signed value would differ from the intended one
+      throw new ValidationError(field, `${value} is above Number.MAX_SAFE_INTEGER, pass it as a string or BigInt`, value);
+    }
+    parsed = BigInt(value);
+  } else if (typeof value === 'string' && /^(0|[1-9]\d*|0x[0-9a-fA-F]+)$/.test(value)) {
+    parsed = BigInt(value);
+  } else {
+    throw new ValidationError(field, `expected a non-negative integer (number, decimal or hex string, or BigInt), got ${describe(value)}`, value);
+  }
+
+  if (parsed < BigInt(0)) {
+    throw new ValidationError(field, `must not be negative, got ${parsed}`, value);
+  }
+  if (parsed >= (BigInt(1) << BigInt(bits))) {
+    throw new ValidationError(field, `${parsed} is out of range for ${type}`, value);
+  }
+  return parsed;
+}
+
+/**
+ * Checks that a value is a 0x-hex bytes32
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the error
+ * @returns {string} The value, unchanged
+ * @throws {ValidationError} If the value is not 32 bytes of hex
+ */
+function validateBytes32(value, field = 'value') {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+    throw new ValidationError(field, `expected a 0x-prefixed bytes32, got ${describe(value)}`, value);
+  }
+  return value;
+}
+
+/**
+ * Checks that a timestamp is in seconds, not milliseconds
+ * @param {*} timestamp - Unix timestamp
+ * @param {string} type - Solidity type of the field
+ * @param {string} field - Field name for the error
+ * @returns {bigint} The timestamp as a BigInt
+ * @throws {ValidationError} If the value is invalid or looks like milliseconds
+ */
+function validateTimestamp(timestamp, type, field) {
+  const parsed = validateUint(timestamp, type, field);
+  if (parsed >= BigInt(MILLISECONDS_MIN) && parsed < BigInt(MILLISECONDS_MAX)) {
+    throw new ValidationError(field, `${parsed} looks like milliseconds, Permit2 expects seconds (${parsed / BigInt(1000)})`, timestamp);
+  }
+  return parsed;
+}
+
+/**
+ * Checks that a signature deadline is in seconds and not in the past
+ * @param {*} deadline - Unix timestamp in seconds
+ * @param {string} field - Field name for the error
+ * @param {Object} options - Options
+ * @param {boolean} options.allowExpired - Accept deadlines in the past (e.g. to test SignatureExpired)
+ * @param {number} options.now - Current Unix timestamp in seconds (defaults to the local clock)
+ * @returns {bigint} The deadline as a BigInt
+ * @throws {ValidationError} If the deadline is invalid, looks like milliseconds or has passed
+ */
+function validateDeadline(deadline, field = 'deadline', options = {}) {
+  const parsed = validateTimestamp(deadline, 'uint256', field);
+  const now = BigInt(options.now !== undefined ? options.now : Math.floor(Date.now() / 1000));
+  if (!options.allowExpired && parsed < now) {
+    throw new ValidationError(field, `${parsed} is in the past (now ${now})`, deadline);
+  }
+  return parsed;
+}
+
+/**
+ * Checks a TokenPermissions struct
+ * @param {Object} permitted - Token permissions with token and amount
+ * @param {string} field - Field name for the error
+ * @throws {ValidationError} If a field is invalid
+ */
+function validateTokenPermissions(permitted, field = 'permitted') {
+  if (!permitted || typeof permitted !== 'object') {
+    throw new ValidationError(field, 'expected a TokenPermissions object', permitted);
+  }
+  validateAddress(permitted.token, `${field}.token`);
+  validateUint(permitted.amount, 'uint256', `${field}.amount`);
+}
+
+/**
+ * Checks a PermitTransferFrom or PermitBatchTransferFrom
+ * @param {Object} permit - Permit from createPermit or createPermitBatchTransferFrom
+ * @param {Object} options - Deadline options (see validateDeadline), or { deadline: false } to skip the deadline
+ *   checks (used when hashing, where an expired permit is still hashed correctly)
+ * @throws {ValidationError} If a field is invalid
+ */
+function validatePermitTransferFrom(permit, options = {}) {
+  if (!permit || typeof permit !== 'object') {
+    throw new ValidationError('permit', 'expected a permit object', permit);
+  }
+  if (Array.isArray(permit.permitted)) {
+    if (permit.permitted.length === 0) {
+      throw new ValidationError('permit.permitted', 'must not be empty', permit.permitted);
+    }
+    permit.permitted.forEach((permitted, i) => validateTokenPermissions(permitted, `permit.permitted[${i}]`));
+  } else {
+    validateTokenPermissions(permit.permitted, 'permit.permitted');
+  }
+  validateAddress(permit.spender, 'permit.spender');
+  validateUint(permit.nonce, 'uint256', 'permit.nonce');
+  if (options.deadline === false) {
+    validateUint(permit.deadline, 'uint256', 'permit.deadline');
+  } else {
+    validateDeadline(permit.deadline, 'permit.deadline', options);
+  }
+}
+
+/**
+ * Checks a PermitDetails struct
+ * @param {Object} details - PermitDetails from createPermitDetails
+ * @param {string} field - Field name for the error
+ * @throws {ValidationError} If a field is invalid
+ */
+function validatePermitDetails(details, field = 'details') {
+  if (!details || typeof details !== 'object') {
+    throw new ValidationError(field, 'expected a PermitDetails object', details);
+  }
+  validateAddress(details.token, `${field}.token`);
+  validateUint(details.amount, 'uint160', `${field}.amount`);
+  // An expiration of 0 means "this block only" and may be in the past, so only the unit is checked
+  validateTimestamp(details.expiration, 'uint48', `${field}.expiration`);
+  validateUint(details.nonce, 'uint48', `${field}.nonce`);
+}
+
+/**
+ * Checks a PermitSingle or PermitBatch
+ * @param {Object} permit - Permit from createPermitSingle or createPermitBatch
+ * @param {Object} options - Deadline options (see validatePermitTransferFrom)
+ * @throws {ValidationError} If a field is invalid
+ */
+function validateAllowancePermit(permit, options = {}) {
+  if (!permit || typeof permit !== 'object') {
+    throw new ValidationError('permit', 'expected a permit object', permit);
+  }
+  if (Array.isArray(permit.details)) {
+    if (permit.details.length === 0) {
+      throw new ValidationError('permit.details', 'must not be empty', permit.details);
+    }
+    permit.details.forEach((details, i) => validatePermitDetails(details, `permit.details[${i}]`));
+  } else {
+    validatePermitDetails(permit.details, 'permit.details');
+  }
+  validateAddress(permit.spender, 'permit.spender');
+  if (options.deadline === false) {
+    validateUint(permit.sigDeadline, 'uint256', 'permit.sigDeadline');
+  } else {
+    validateDeadline(permit.sigDeadline, 'permit.sigDeadline', options);
+  }
+}
+
+/**
+ * Checks transfer details against the permit they spend, mirroring the contract's InvalidAmount and LengthMismatch checks
+ * @param {Object} permit - Single or batch SignatureTransfer permit
+ * @param {Object|Array<Object>} transferDetails - Transfer details (an array for batch permits)
+ * @throws {ValidationError} If a field is invalid or a requested amount exceeds the permitted amount
+ */
+function validateTransferDetails(permit, transferDetails) {
+  const isBatch = Array.isArray(permit.permitted);
+  const permitted = isBatch ? permit.permitted : [permit.permitted];
+  const details = isBatch ? transferDetails : [transferDetails];
+
+  if (!Array.isArray(details)) {
+    throw new ValidationError('transferDetails', 'expected an array for a batch permit', transferDetails);
+  }
+  if (details.length !== permitted.length) {
+    throw new ValidationError(
+      'transferDetails',
+      `has ${details.length} entries but the permit has ${permitted.length} permitted tokens`,
+      transferDetails
+    );
+  }
+
+  details.forEach((entry, i) => {
+    const field = isBatch ? `transferDetails[${i}]` : 'transferDetails';
+    if (!entry || typeof entry !== 'object') {
+      throw new ValidationError(field, 'expected a transfer details object', entry);
+    }
+    validateAddress(entry.to, `${field}.to`);
+    const requested = validateUint(entry.requestedAmount, 'uint256', `${field}.requestedAmount`);
+    const allowed = validateUint(permitted[i].amount, 'uint256', `permit.permitted${isBatch ? `[${i}]` : ''}.amount`);
+    if (requested > allowed) {
+      throw new ValidationError(`${field}.requestedAmount`, `${requested} exceeds the permitted amount ${allowed}`, entry.requestedAmount);
+    }
+  });
+}
+
+module.exports = {
+  ValidationError,
+  validateAddress,
+  validateUint,
+  validateBytes32,
+  validateTimestamp,
+  validateDeadline,
+  validateTokenPermissions,
+  validatePermitTransferFrom,
+  validatePermitDetails,
+  validateAllowancePermit,
+  validateTransferDetails
+};
@@ -0,0 +1,78 @@
+/**
+ * Permit2 for Tron
+ *
+ * Library entrypoint: every helper module (as a namespace, since several
+ * share export names such as `verify`), the stateful clients, the Permit2 ABI
+ * exported from the build artifacts and the registry of deployed networks.
+ * index.mjs re-exports the same names for ES modules.
+ *
+ * Nothing here loads a Node built-in, so it can be bundled for browsers. The
+ * relayer, JsonFileStore and the deployment records are in node.js.
+ */
+
+const PERMIT2_ABI = require('./abi/Permit2.json');
+
+const addressHelpers = require('./helpers/address-helpers');
+const allowanceClient = require('./helpers/allowance-client');
+const domainHelpers = require('./helpers/domain-helpers');
+const errors = require('./helpers/errors');
+const eventIndexer = require('./helpers/event-indexer');
+const eventStores = require('./helpers/event-stores');
+const feeEstimator = require('./helpers/fee-estimator');
+const hashHelpers = require('./helpers/hash-helpers');
+const networks = require('./helpers/networks');
+const nonceManager = require('./helpers/nonce-manager');
+const payloadHelpers = require('./helpers/payload-helpers');
+const permitHelpers = require('./helpers/permit-helpers');
+const permit2Client = require('./helpers/permit2-client');
+const permit2Lib = require('./helpers/permit2-lib');
+const serializationHelpers = require('./helpers/serialization-helpers');
+const signatureVerification = require('./helpers/signature-verification');
+const signerHelpers = require('./helpers/signer-helpers');
+const simulation = require('./helpers/simulation');
+const typedDataHelpers = require('./helpers/typed-data-helpers');
+const validationHelpers = require('./helpers/validation-helpers');
+
+module.exports = {
+  // Contract
+  PERMIT2_ABI,
+  NETWORKS: networks.NETWORKS,
+  CHAIN_IDS: domainHelpers.CHAIN_IDS,
+  getNetwork: networks.getNetwork,
+  getNetworkByChainId: networks.getNetworkByChainId,
+  getPermit2Address: networks.getPermit2Address,
+  isDevelopmentNetwork: networks.isDevelopmentNetwork,
+
+  // Clients
+  Permit2Client: permit2Client.Permit2Client,
+  AllowanceClient: allowanceClient.AllowanceClient,
+  UnorderedNonceManager: nonceManager.UnorderedNonceManager,
+  Permit2EventIndexer: eventIndexer.Permit2EventIndexer,
+  MemoryStore: eventStores.MemoryStore,
+
+  // Errors
+  Permit2Error: errors.Permit2Error,
+  ValidationError: validationHelpers.ValidationError,
+
+  // Helper modules
+  addressHelpers,
+  allowanceClient,
+  domainHelpers,
+  errors,
+  eventIndexer,
+  eventStores,
+  feeEstimator,
+  hashHelpers,
+  networks,
+  nonceManager,
+  payloadHelpers,
+  permitHelpers,
+  permit2Client,
+  permit2Lib,
+  serializationHelpers,
+  signatureVerification,
+  signerHelpers,
+  simulation,
+  typedDataHelpers,
+  validationHelpers
+};
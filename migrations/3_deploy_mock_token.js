@@ -1,7 +1,15 @@
 const MockERC20 = artifacts.require('MockERC20');
+const { isDevelopmentNetwork } = require('../helpers/networks');
 
 module.exports = function (deployer, network, accounts) {
   console.log('Migration running on network:', network);
+
+  // Mocks are for local testing only, never deploy them to a public network
+  if (!isDevelopmentNetwork(network)) {
+    console.log('Skipping MockERC20, it is only deployed on development networks');
+    return;
+  }
+
   console.log('Deploying MockERC20 with account:', accounts);
 
   // Deploy MockERC20 contract
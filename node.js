@@ -0,0 +1,31 @@
+/**
+ * Permit2 for Tron - Node entrypoint
+ *
+ * Everything index.js exports, plus the modules that need Node built-ins: the
+ * relayer (http, crypto), JsonFileStore (fs) and the deployment records
+ * scripts/deploy.js writes (fs). getPermit2Address prefers the recorded
+ * deployment here. node.mjs re-exports the same names for ES modules.
+ */
+
+const permit2 = require('./index');
+const deployments = require('./helpers/deployments');
+const jsonFileStore = require('./helpers/json-file-store');
+const relayer = require('./helpers/relayer');
+
+module.exports = {
+  ...permit2,
+
+  // Contract
+  getPermit2Address: deployments.getPermit2Address,
+  getDeployment: deployments.getDeployment,
+  getDeploymentPath: deployments.getDeploymentPath,
+
+  // Clients
+  JsonFileStore: jsonFileStore.JsonFileStore,
+  Permit2Relayer: relayer.Permit2Relayer,
+
+  // Helper modules
+  deployments,
+  jsonFileStore,
+  relayer
+};
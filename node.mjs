@@ -0,0 +1,53 @@
+/**
+ * Permit2 for Tron - Node ES module entrypoint
+ *
+ * Re-exports node.js, so `import` and `require` share one copy of every module.
+ */
+
+import permit2 from './node.js';
+
+export const {
+  PERMIT2_ABI,
+  NETWORKS,
+  CHAIN_IDS,
+  getNetwork,
+  getNetworkByChainId,
+  getPermit2Address,
+  isDevelopmentNetwork,
+  Permit2Client,
+  AllowanceClient,
+  UnorderedNonceManager,
+  Permit2EventIndexer,
+  MemoryStore,
+  Permit2Error,
+  ValidationError,
+  addressHelpers,
+  allowanceClient,
+  domainHelpers,
+  errors,
+  eventIndexer,
+  eventStores,
+  feeEstimator,
+  hashHelpers,
+  networks,
+  nonceManager,
+  payloadHelpers,
+  permitHelpers,
+  permit2Client,
+  permit2Lib,
+  serializationHelpers,
+  signatureVerification,
+  signerHelpers,
+  simulation,
+  typedDataHelpers,
+  validationHelpers,
+  getDeployment,
+  getDeploymentPath,
+  JsonFileStore,
+  Permit2Relayer,
+  deployments,
+  jsonFileStore,
+  relayer
+} = permit2;
+
+export default permit2;
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Approval Audit Script
+ *
+ * Lists every token/spender pair an owner has a live Permit2 allowance for,
+ * flags expired and unlimited ones, and builds (or sends) a single lockdown
+ * transaction revoking the selected pairs. It:
+ * 1. Finds candidate pairs from the owner's Approval/Permit events
+ * 2. Reads allowance() for each pair to get the live amount and expiration
+ * 3. Prints the live allowances with EXPIRED / UNLIMITED flags
+ * 4. With --revoke, builds one lockdown transaction for the selected pairs
+ *    and prints it unsigned, or signs and sends it with --send
+ *
+ * Usage:
+ *   node scripts/audit-approvals.js --owner <address> [--network mainnet|nile|shasta|local]
+ *     [--permit2 <address>] [--full-host <url>] [--revoke all|expired|unlimited|<token>:<spender>,...]
+ *     [--state <file>] [--send] [--json]
+ *
+ * --send signs with the PRIVATE_KEY environment variable, which must belong to the owner.
+ * --state keeps the event indexer state in a JSON file, so later runs only fetch new events;
+ * use one file per network.
+ */
+
+const { TronWeb } = require('tronweb');
+const addressHelpers = require('../helpers/address-helpers');
+const permitHelpers = require('../helpers/permit-helpers');
+const simulation = require('../helpers/simulation');
+const { Permit2EventIndexer } = require('../helpers/event-indexer');
+const { JsonFileStore } = require('../helpers/json-file-store');
+const { AllowanceClient, MAX_UINT160, isAllowanceExpired } = require('../helpers/allowance-client');
+const { Permit2Client, PERMIT2_ABI, DEFAULT_FEE_LIMIT } = require('../helpers/permit2-client');
+const { NETWORKS, getNetwork } = require('../helpers/networks');
+const { getPermit2Address } = require('../helpers/deployments');
+const { hasCode } = require('../helpers/signature-verification');
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { network: 'mainnet', send: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--owner': options.owner = argv[++i]; break;
+      case '--network': options.network = argv[++i]; break;
+      case '--permit2': options.permit2 = argv[++i]; break;
+      case '--full-host': options.fullHost = argv[++i]; break;
+      case '--revoke': options.revoke = argv[++i]; break;
+      case '--state': options.state = argv[++i]; break;
+      case '--send': options.send = true; break;
+      case '--json': options.json = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Lists an owner's live Permit2 allowances
+ * @param {Object} tronWeb - TronWeb instance with an event server
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {string} owner - Owner address
+ * @param {Object} options - Audit options
+ * @param {number} options.now - Timestamp to check expiry against (defaults to the latest block)
+ * @param {Object} options.store - Indexer state store; a persistent one resumes from its cursor
+ *   instead of paging through the whole event history (default MemoryStore)
+ * @returns {Promise<Array<Object>>} Allowances with token, spender, amount, expiration, nonce, expired and unlimited
+ */
+async function auditApprovals(tronWeb, permit2Address, owner, options = {}) {
+  const now = options.now || await simulation.getBlockTimestamp(tronWeb);
+
+  // Events give every pair that was ever approved; allowance() gives what is left of it
+  const indexer = new Permit2EventIndexer(tronWeb, permit2Address, { store: options.store });
+  await indexer.sync();
+  const candidates = await indexer.getAllowances(owner, { includeRevoked: true });
+
+  const allowanceClient = new AllowanceClient(tronWeb.contract(PERMIT2_ABI, permit2Address));
+  const allowances = [];
+
+  for (const { token, spender } of candidates) {
+    const allowance = await allowanceClient.getAllowance(owner, token, spender, now);
+    if (allowance.amount === '0') continue;
+
+    allowances.push({
+      token,
+      spender,
+      amount: allowance.amount,
+      expiration: allowance.expiration,
+      nonce: allowance.nonce,
+      expired: isAllowanceExpired(allowance, now),
+      unlimited: BigInt(allowance.amount) === MAX_UINT160
+    });
+  }
+
+  return allowances;
+}
+
+/**
+ * Picks the pairs to revoke from the audited allowances
+ * @param {Array<Object>} allowances - Allowances from auditApprovals
+ * @param {string} selection - "all", "expired", "unlimited" or a comma-separated list of token:spender pairs
+ * @returns {Array<Object>} TokenSpenderPairs from createTokenSpenderPair
+ */
+function selectPairs(allowances, selection) {
+  let selected;
+
+  if (selection === 'all') {
+    selected = allowances;
+  } else if (selection === 'expired') {
+    selected = allowances.filter(allowance => allowance.expired);
+  } else if (selection === 'unlimited') {
+    selected = allowances.filter(allowance => allowance.unlimited);
+  } else {
+    selected = selection.split(',').map(pair => {
+      const [token, spender] = pair.split(':');
+      if (!token || !spender || !addressHelpers.isAddress(token) || !addressHelpers.isAddress(spender)) {
+        throw new Error(`Invalid token:spender pair: ${pair}`);
+      }
+      return { token, spender };
+    });
+  }
+
+  return selected.map(({ token, spender }) => permitHelpers.createTokenSpenderPair(token, spender));
+}
+
+/**
+ * Builds an unsigned lockdown transaction from the owner
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} permit2Address - Address of the Permit2 contract
+ * @param {string} owner - Owner address (msg.sender of lockdown)
+ * @param {Array<Object>} pairs - TokenSpenderPairs to revoke
+ * @param {number} feeLimit - feeLimit in SUN
+ * @returns {Promise<Object>} Unsigned transaction
+ */
+async function buildLockdownTransaction(tronWeb, permit2Address, owner, pairs, feeLimit = DEFAULT_FEE_LIMIT) {
+  const fragment = simulation.getFunctionFragment(PERMIT2_ABI, 'lockdown');
+  const { transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+    addressHelpers.toTronHex(permit2Address),
+    simulation.getFunctionSignature(fragment),
+    {
+      feeLimit,
+      rawParameter: tronWeb.utils.abi.encodeParamsV2ByABI(fragment, [permitHelpers.formatTokenSpenderPairsForCall(pairs)])
+    },
+    [],
+    addressHelpers.toTronHex(owner)
+  );
+  return transaction;
+}
+
+/**
+ * Prints the audited allowances as a table
+ * @param {Array<Object>} allowances - Allowances from auditApprovals
+ */
+function printAllowances(allowances) {
+  if (allowances.length === 0) {
+    console.log('✅ No live Permit2 allowances');
+    return;
+  }
+
+  console.log(`Found ${allowances.length} live Permit2 allowance(s):\n`);
+  for (const allowance of allowances) {
+    const flags = [allowance.expired && 'EXPIRED', allowance.unlimited && 'UNLIMITED'].filter(Boolean);
+    console.log(`  Token:      ${allowance.token}`);
+    console.log(`  Spender:    ${allowance.spender}`);
+    console.log(`  Amount:     ${allowance.unlimited ? 'unlimited' : allowance.amount}`);
+    console.log(`  Expiration: ${new Date(allowance.expiration * 1000).toISOString()} (${allowance.expiration})`);
+    if (flags.length) {
+      console.log(`  ⚠️  ${flags.join(', ')}`);
+    }
+    console.log('');
+  }
+}
+
+/**
+ * Main audit function
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.owner) {
+    throw new Error('--owner is required');
+  }
+  const network = getNetwork(options.network);
+
+  // Local deployments are only known from the record scripts/deploy.js writes
+  let permit2Address = options.permit2;
+  if (!permit2Address) {
+    try {
+      permit2Address = getPermit2Address(network.name);
+    } catch (error) {
+      throw new Error(`--permit2 is required on ${options.network}`);
+    }
+  }
+
+  const tronWeb = new TronWeb({
+    fullHost: options.fullHost || network.fullHost,
+    privateKey: options.send ? process.env.PRIVATE_KEY : undefined
+  });
+  if (!options.send) {
+    // Reads only need a default address
+    tronWeb.setAddress(addressHelpers.toBase58(options.owner));
+  }
+
+  // A record left over from an earlier local node points at an address with no code
+  if (!await hasCode(tronWeb, permit2Address)) {
+    throw new Error(`No contract at ${permit2Address} on ${network.name}; redeploy Permit2 or pass --permit2`);
+  }
+
+  const allowances = await auditApprovals(tronWeb, permit2Address, options.owner, {
+    store: options.state ? new JsonFileStore(options.state) : undefined
+  });
+  const pairs = options.revoke ? selectPairs(allowances, options.revoke) : [];
+
+  if (!options.json) {
+    printAllowances(allowances);
+  }
+
+  if (!options.revoke) {
+    if (options.json) console.log(JSON.stringify({ allowances }, null, 2));
+    return;
+  }
+
+  if (pairs.length === 0) {
+    if (options.json) console.log(JSON.stringify({ allowances, pairs }, null, 2));
+    else console.log('Nothing selected to revoke');
+    return;
+  }
+
+  if (!options.send) {
+    const transaction = await buildLockdownTransaction(tronWeb, permit2Address, options.owner, pairs);
+    if (options.json) {
+      console.log(JSON.stringify({ allowances, pairs, transaction }, null, 2));
+    } else {
+      console.log(`🔒 Unsigned lockdown transaction for ${pairs.length} pair(s), sign it with the owner's key:\n`);
+      console.log(JSON.stringify(transaction, null, 2));
+    }
+    return;
+  }
+
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error('PRIVATE_KEY must be set to send the lockdown');
+  }
+  if (!addressHelpers.isSameAddress(tronWeb.defaultAddress.base58, options.owner)) {
+    throw new Error(`PRIVATE_KEY belongs to ${tronWeb.defaultAddress.base58}, not the owner ${options.owner}`);
+  }
+
+  const client = new Permit2Client(tronWeb, permit2Address);
+  const txID = await client.lockdown(pairs);
+  if (options.json) {
+    console.log(JSON.stringify({ allowances, pairs, txID }, null, 2));
+  } else {
+    console.log(`✅ Lockdown sent for ${pairs.length} pair(s): ${txID}`);
+  }
+}
+
+module.exports = {
+  NETWORKS,
+  parseArgs,
+  auditApprovals,
+  selectPairs,
+  buildLockdownTransaction
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Audit failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+/**
+ * Deployment Script
+ *
+ * Deploys Permit2 to a network from the TronBox build artifacts and records the
+ * result in deployments/<network>.json, which helpers/deployments.js reads. It:
+ * 1. Checks the node's chain ID against the network registry
+ * 2. Looks for Permit2 at the expected address (the recorded deployment, else the
+ *    registry address) and reuses it when its bytecode matches the build
+ * 3. Otherwise deploys Permit2, waits for the receipt and records the address,
+ *    transaction ID, block, deployer, bytecode hash and the compiler of the artifact
+ * 4. On development networks only, also deploys MockERC20
+ *
+ * Usage:
+ *   pnpm run compile
+ *   node scripts/deploy.js --network mainnet|nile|shasta|local [--full-host <url>] [--force] [--dry-run]
+ *
+ * The deployer key is the network's privateKey in tronbox-config.js (PRIVATE_KEY_MAINNET,
+ * PRIVATE_KEY_NILE, PRIVATE_KEY_SHASTA). --force deploys a new Permit2 even if a different
+ * contract sits at the expected address; --dry-run only reports what would be deployed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TronWeb } = require('tronweb');
+const tronboxConfig = require('../tronbox-config');
+const addressHelpers = require('../helpers/address-helpers');
+const domainHelpers = require('../helpers/domain-helpers');
+const networks = require('../helpers/networks');
+const signatureVerification = require('../helpers/signature-verification');
+const deployments = require('../helpers/deployments');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build', 'contracts');
+
+// Constructor arguments of the mocks deployed on development networks (as in the migrations)
+const MOCKS = {
+  MockERC20: ['MockERC20', 'MCK']
+};
+
+// How long to wait for a deployment to be included in a block
+const RECEIPT_ATTEMPTS = 20;
+const RECEIPT_INTERVAL_MS = 3000;
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { network: 'local', force: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--network': options.network = argv[++i]; break;
+      case '--full-host': options.fullHost = argv[++i]; break;
+      case '--force': options.force = true; break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Returns the TronBox settings of a network (privateKey, feeLimit, userFeePercentage, fullHost)
+ * @param {string} name - Network name (registry or TronBox name)
+ * @returns {Object} Network entry from tronbox-config.js
+ */
+function getTronboxNetwork(name) {
+  const network = networks.getNetwork(name);
+  const tronboxName = Object.keys(tronboxConfig.networks).find(
+    key => (networks.NETWORK_ALIASES[key] || key) === network.name
+  );
+  if (!tronboxName) {
+    throw new Error(`No ${network.name} network in tronbox-config.js`);
+  }
+  return tronboxConfig.networks[tronboxName];
+}
+
+/**
+ * Returns the compiler a build artifact was produced with
+ *
+ * Read from the artifact rather than tronbox-config.js, which may have changed
+ * since the artifact was compiled.
+ * @param {Object} artifact - Build artifact
+ * @returns {Object|null} Object containing name and version, plus optimizer and viaIR when the
+ *   artifact carries its metadata, or null if the artifact does not name its compiler
+ */
+function getCompilerSettings(artifact) {
+  if (!artifact.compiler) {
+    return null;
+  }
+  const compiler = { name: artifact.compiler.name, version: artifact.compiler.version };
+  if (artifact.metadata) {
+    const { settings } = JSON.parse(artifact.metadata);
+    compiler.optimizer = settings.optimizer;
+    compiler.viaIR = Boolean(settings.viaIR);
+  }
+  return compiler;
+}
+
+/**
+ * Reads a TronBox build artifact
+ * @param {string} contractName - Contract name
+ * @param {string} buildDir - Directory of the TronBox artifacts
+ * @returns {Object} Artifact with abi and bytecode
+ * @throws {Error} If the contracts have not been compiled
+ */
+function readArtifact(contractName, buildDir = BUILD_DIR) {
+  const file = path.join(buildDir, `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found, run \`pnpm run compile\` first`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Hashes contract bytecode, so deployments can be compared with the build
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} bytecode - Bytecode, with or without 0x
+ * @returns {string} keccak256 of the bytecode
+ */
+function getBytecodeHash(tronWeb, bytecode) {
+  const hex = bytecode.startsWith('0x') ? bytecode.slice(2) : bytecode;
+  return tronWeb.utils.ethersUtils.keccak256('0x' + hex.toLowerCase());
+}
+
+/**
+ * Checks whether a contract exists at an address and whether it matches the compiled bytecode
+ *
+ * Tron nodes return the bytecode a contract was created with, so it compares
+ * directly with the artifact (as scripts/verify-contract.js does).
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} address - Address to check
+ * @param {string} bytecode - Compiled bytecode
+ * @returns {Promise<Object>} Object containing deployed, matches and bytecodeHash (of the deployed code)
+ */
+async function getCodeStatus(tronWeb, address, bytecode) {
+  let contract;
+  try {
+    contract = await tronWeb.trx.getContract(addressHelpers.toTronHex(address));
+  } catch (error) {
+    if (!error || error.message !== signatureVerification.NO_CONTRACT_ERROR) {
+      throw error;
+    }
+    contract = null;
+  }
+
+  if (!contract || !contract.bytecode) {
+    return { deployed: false, matches: false, bytecodeHash: null };
+  }
+
+  const bytecodeHash = getBytecodeHash(tronWeb, contract.bytecode);
+  return { deployed: true, matches: bytecodeHash === getBytecodeHash(tronWeb, bytecode), bytecodeHash };
+}
+
+/**
+ * Returns the contracts a deployment to a network consists of
+ * @param {string} name - Network name
+ * @returns {Array<string>} Permit2, plus the mocks on development networks
+ */
+function getDeploymentPlan(name) {
+  return networks.isDevelopmentNetwork(name) ? ['Permit2', ...Object.keys(MOCKS)] : ['Permit2'];
+}
+
+/**
+ * Waits until a transaction is included in a block
+ * @param {Object} tronWeb - TronWeb instance
+ * @param {string} txId - Transaction ID
+ * @returns {Promise<Object>} Transaction info
+ * @throws {Error} If the transaction failed or was not included in time
+ */
+async function waitForReceipt(tronWeb, txId) {
+  for (let attempt = 0; attempt < RECEIPT_ATTEMPTS; attempt++) {
+    const info = await tronWeb.trx.getTransactionInfo(txId);
+    if (info && info.blockNumber) {
+      if (info.receipt && info.receipt.result && info.receipt.result !== 'SUCCESS') {
+        throw new Error(`Deployment ${txId} failed: ${info.receipt.result}`);
+      }
+      return info;
+    }
+    await new Promise(resolve => setTimeout(resolve, RECEIPT_INTERVAL_MS));
+  }
+  throw new Error(`Deployment ${txId} was not confirmed after ${RECEIPT_ATTEMPTS} attempts`);
+}
+
+/**
+ * Deploys a contract and waits for it to be included in a block
+ * @param {Object} tronWeb - TronWeb instance with the deployer's private key
+ * @param {string} contractName - Contract name
+ * @param {Object} artifact - Build artifact with abi and bytecode
+ * @param {Array} parameters - Constructor arguments
+ * @param {Object} settings - feeLimit and userFeePercentage
+ * @returns {Promise<Object>} Deployment record with address, txId, block, deployer, bytecodeHash and compiler
+ */
+async function deployContract(tronWeb, contractName, artifact, parameters = [], settings = {}) {
+  const deployer = tronWeb.defaultAddress.base58;
+  const transaction = await tronWeb.transactionBuilder.createSmartContract({
+    name: contractName,
+    abi: artifact.abi,
+    bytecode: artifact.bytecode,
+    feeLimit: settings.feeLimit,
+    userFeePercentage: settings.userFeePercentage,
+    parameters
+  }, deployer);
+  const signed = await tronWeb.trx.sign(transaction);
+  const result = await tronWeb.trx.sendRawTransaction(signed);
+  if (!result.result) {
+    throw new Error(`Deploying ${contractName} was rejected: ${result.message ? tronWeb.toUtf8(result.message) : result.code}`);
+  }
+
+  const info = await waitForReceipt(tronWeb, signed.txID);
+  return {
+    address: addressHelpers.toBase58(signed.contract_address),
+    txId: signed.txID,
+    block: info.blockNumber,
+    deployer,
+    bytecodeHash: getBytecodeHash(tronWeb, artifact.bytecode),
+    compiler: getCompilerSettings(artifact)
+  };
+}
+
+/**
+ * Returns Permit2 at the expected address if it matches the build, else deploys it
+ * @param {Object} tronWeb - TronWeb instance with the deployer's private key
+ * @param {string} name - Network name
+ * @param {Object} artifact - Permit2 build artifact
+ * @param {Object} options - Options
+ * @param {string} options.expected - Address to look for Permit2 at (defaults to the registry)
+ * @param {boolean} options.force - Deploy even if a different contract is at the expected address
+ * @param {boolean} options.dryRun - Do not deploy, only report
+ * @param {Object} options.settings - feeLimit and userFeePercentage for the deployment
+ * @param {string} options.dir - Deployments directory
+ * @returns {Promise<Object>} Object containing action ('reused', 'deployed' or 'pending' on dry runs) and record
+ * @throws {Error} If a different contract is at the expected address and force is not set
+ */
+async function deployPermit2(tronWeb, name, artifact, options = {}) {
+  let expected = options.expected;
+  if (expected === undefined) {
+    // A malformed deployment file or an unknown network should stop the deployment, so only
+    // a network without a registry address falls through to a fresh deploy
+    const deployment = deployments.getDeployment(name, options.dir);
+    const recorded = deployment && deployment.contracts && deployment.contracts.Permit2;
+    expected = recorded ? recorded.address : networks.getNetwork(name).permit2 || null;
+  }
+
+  if (expected) {
+    const status = await getCodeStatus(tronWeb, expected, artifact.bytecode);
+    if (status.deployed && status.matches) {
+      const deployment = deployments.getDeployment(name, options.dir);
+      const recorded = deployment && deployment.contracts && deployment.contracts.Permit2;
+      // Without a record the build that produced this contract is unknown, so no compiler is recorded
+      return {
+        action: 'reused',
+        record: recorded && addressHelpers.isSameAddress(recorded.address, expected)
+          ? recorded
+          : { address: addressHelpers.toBase58(expected), txId: null, block: null, deployer: null, bytecodeHash: status.bytecodeHash }
+      };
+    }
+    if (status.deployed && !options.force) {
+      throw new Error(`The contract at ${expected} does not match the compiled Permit2 (${status.bytecodeHash}); use --force to deploy a new one`);
+    }
+  }
+
+  if (options.dryRun) {
+    return { action: 'pending', record: null };
+  }
+  return { action: 'deployed', record: await deployContract(tronWeb, 'Permit2', artifact, [], options.settings) };
+}
+
+/**
+ * Writes contract records into a network's deployment file, keeping the other contracts
+ * @param {string} name - Network name
+ * @param {Object} contracts - Contract name to record
+ * @param {string} dir - Deployments directory
+ * @returns {Object} The deployment file contents
+ */
+function recordDeployment(name, contracts, dir = deployments.DEPLOYMENTS_DIR) {
+  const network = networks.getNetwork(name);
+  const existing = deployments.getDeployment(name, dir);
+  const deployedAt = new Date().toISOString();
+
+  const deployment = {
+    network: network.name,
+    chainId: network.chainId,
+    contracts: { ...(existing ? existing.contracts : {}) }
+  };
+  for (const [contractName, record] of Object.entries(contracts)) {
+    deployment.contracts[contractName] = { ...record, deployedAt: record.deployedAt || deployedAt };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(deployments.getDeploymentPath(name, dir), JSON.stringify(deployment, null, 2) + '\n');
+  return deployment;
+}
+
+/**
+ * Main deployment function
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = networks.getNetwork(options.network);
+  const settings = getTronboxNetwork(network.name);
+
+  if (!settings.privateKey && !options.dryRun) {
+    throw new Error(`No private key for ${network.name}: set it in .env (see tronbox-config.js)`);
+  }
+
+  const tronWeb = new TronWeb({
+    fullHost: options.fullHost || settings.fullHost || network.fullHost,
+    privateKey: settings.privateKey || undefined
+  });
+
+  // Refuse to deploy with a key or host meant for another network
+  const chainId = await domainHelpers.getChainId(tronWeb);
+  if (chainId !== network.chainId) {
+    throw new Error(`Node chain ID ${chainId} does not match ${network.name} (${network.chainId})`);
+  }
+
+  const plan = getDeploymentPlan(network.name);
+  console.log(`🚀 Deploying ${plan.join(', ')} to ${network.name}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const records = {};
+  const permit2 = await deployPermit2(tronWeb, network.name, readArtifact('Permit2'), { ...options, settings });
+  if (permit2.action === 'reused') {
+    console.log(`♻️  Permit2 already deployed at ${permit2.record.address}`);
+  } else if (permit2.action === 'pending') {
+    console.log('📝 Permit2 would be deployed');
+  } else {
+    console.log(`✅ Permit2 deployed at ${permit2.record.address} (tx ${permit2.record.txId}, block ${permit2.record.block})`);
+  }
+  if (permit2.record) {
+    records.Permit2 = permit2.record;
+  }
+
+  for (const mock of plan.filter(contractName => MOCKS[contractName])) {
+    if (options.dryRun) {
+      console.log(`📝 ${mock} would be deployed`);
+      continue;
+    }
+    records[mock] = await deployContract(tronWeb, mock, readArtifact(mock), MOCKS[mock], settings);
+    console.log(`✅ ${mock} deployed at ${records[mock].address}`);
+  }
+
+  if (options.dryRun) {
+    return;
+  }
+  recordDeployment(network.name, records);
+  console.log(`📄 Recorded in ${path.relative(process.cwd(), deployments.getDeploymentPath(network.name))}`);
+}
+
+module.exports = {
+  MOCKS,
+  parseArgs,
+  getCompilerSettings,
+  readArtifact,
+  getBytecodeHash,
+  getCodeStatus,
+  getDeploymentPlan,
+  deployContract,
+  deployPermit2,
+  recordDeployment
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Deployment failed:', error.message);
+    process.exit(1);
+  });
+}
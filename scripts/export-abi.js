@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * ABI Export Script
+ *
+ * Copies the Permit2 ABI from the TronBox build artifacts into abi/Permit2.json,
+ * which is what the JS helpers load. Run after compiling:
+ *
+ *   pnpm run compile && pnpm run export-abi
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACT_JSON_PATH = path.join(__dirname, '..', 'build', 'contracts', 'Permit2.json');
+const ABI_PATH = path.join(__dirname, '..', 'abi', 'Permit2.json');
+
+function main() {
+  if (!fs.existsSync(CONTRACT_JSON_PATH)) {
+    console.error(`❌ Contract JSON not found at: ${CONTRACT_JSON_PATH}`);
+    console.error('   Please run `pnpm run compile` first.');
+    process.exit(1);
+  }
+
+  const contractJson = JSON.parse(fs.readFileSync(CONTRACT_JSON_PATH, 'utf8'));
+
+  if (!Array.isArray(contractJson.abi)) {
+    console.error('❌ abi field not found in contract JSON');
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(ABI_PATH), { recursive: true });
+  fs.writeFileSync(ABI_PATH, JSON.stringify(contractJson.abi, null, 2) + '\n');
+
+  console.log(`✅ Exported ${contractJson.abi.length} ABI entries to ${path.relative(process.cwd(), ABI_PATH)}`);
+}
+
+main();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Permit2 Relayer Server
+ *
+ * Runs the relayer HTTP service: clients POST signed SignatureTransfer permits
+ * naming the relayer as spender, and the relayer validates them and submits
+ * them, paying the energy from its own account.
+ *
+ * Environment:
+ *   RELAYER_PRIVATE_KEY - Relayer key (required)
+ *   PERMIT2_ADDRESS     - Permit2 contract address (required)
+ *   FULL_HOST           - Tron node (default http://127.0.0.1:9095, the local TRE node)
+ *   PORT                - HTTP port (default 8080)
+ *   ALLOWED_TOKENS      - Comma-separated tokens the relayer will pay for (default any)
+ *   ALLOWED_SPENDERS    - Comma-separated permit spenders the relayer will pay for (default any)
+ *   ALLOWED_RECIPIENTS  - Comma-separated transfer recipients (required, every permit is refused without it)
+ *
+ * Usage:
+ *   RELAYER_PRIVATE_KEY=... PERMIT2_ADDRESS=T... node scripts/relayer.js
+ */
+
+const { TronWeb } = require('tronweb');
+const { Permit2Relayer, createAllowlistPolicy, createRelayerServer } = require('../helpers/relayer');
+
+const list = value => value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : undefined;
+
+/**
+ * Main relayer function
+ */
+async function main() {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error('RELAYER_PRIVATE_KEY must be set');
+  }
+  if (!process.env.PERMIT2_ADDRESS) {
+    throw new Error('PERMIT2_ADDRESS must be set');
+  }
+
+  const tronWeb = new TronWeb({
+    fullHost: process.env.FULL_HOST || 'http://127.0.0.1:9095',
+    privateKey: process.env.RELAYER_PRIVATE_KEY
+  });
+
+  const relayer = new Permit2Relayer(tronWeb, process.env.PERMIT2_ADDRESS, {
+    policy: createAllowlistPolicy({
+      tokens: list(process.env.ALLOWED_TOKENS),
+      spenders: list(process.env.ALLOWED_SPENDERS),
+      recipients: list(process.env.ALLOWED_RECIPIENTS)
+    })
+  });
+
+  const port = Number(process.env.PORT || 8080);
+  createRelayerServer(relayer).listen(port, () => {
+    console.log(`🚀 Relayer ${relayer.address} listening on port ${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error('❌ Relayer failed:', error.message);
+  process.exit(1);
+});
@@ -18,10 +18,11 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { TronWeb } = require('tronweb');
+const { NETWORKS } = require('../helpers/networks');
 
 // Configuration
-const MAINNET_CONTRACT_ADDRESS = 'TJhMXTHQHeQyMD7TcKQFqAePNgG4b31H9m';
-const MAINNET_RPC_URL = 'https://api.trongrid.io';
+const MAINNET_CONTRACT_ADDRESS = NETWORKS.mainnet.permit2;
+const MAINNET_RPC_URL = NETWORKS.mainnet.fullHost;
 const BUILD_DIR = path.join(__dirname, '..', 'build');
 const CONTRACT_JSON_PATH = path.join(BUILD_DIR, 'contracts', 'Permit2.json');
 
@@ -1,14 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const testHelpers = require('./test-helpers');
 const hashHelpers = require('../helpers/hash-helpers');
 const permitHelpers = require('../helpers/permit-helpers');
+const signerHelpers = require('../helpers/signer-helpers');
+const domainHelpers = require('../helpers/domain-helpers');
+const payloadHelpers = require('../helpers/payload-helpers');
+const { UnorderedNonceManager } = require('../helpers/nonce-manager');
+const { AllowanceClient } = require('../helpers/allowance-client');
+const { Permit2Client } = require('../helpers/permit2-client');
+const errors = require('../helpers/errors');
+const { Permit2EventIndexer } = require('../helpers/event-indexer');
+const { MemoryStore } = require('../helpers/event-stores');
+const { JsonFileStore } = require('../helpers/json-file-store');
+const auditApprovals = require('../scripts/audit-approvals');
+const { Permit2Relayer, createAllowlistPolicy, createRelayerServer } = require('../helpers/relayer');
+const serializationHelpers = require('../helpers/serialization-helpers');
+const addressHelpers = require('../helpers/address-helpers');
+const signatureVerification = require('../helpers/signature-verification');
+const { ValidationError } = require('../helpers/validation-helpers');
+const permit2Package = require('..');
+const permit2Node = require('../node');
+const permit2Lib = require('../helpers/permit2-lib');
+const deployments = require('../helpers/deployments');
+const deployScript = require('../scripts/deploy');
 
 contract('Permit2 - TIP-712 Compliant', () => {
   let permit2, permit2_2;
   let mockERC20;
   let owner, secondAccount, thirdAccount;
   let ownerPrivateKey;
+  let ownerSigner;
   let TronWeb;
-  let chainId = (3360022319 & 0xffffffff) >>> 0; // Local testnet chainId masked for TIP-712
+  let chainId = domainHelpers.CHAIN_IDS.local; // Local testnet chainId masked for TIP-712
   
   const TOKEN_AMOUNT = '100000000000000000000'; // 100 tokens
   const TRANSFER_AMOUNT = '10000000000000000000'; // 10 tokens
@@ -20,6 +46,7 @@ contract('Permit2 - TIP-712 Compliant', () => {
     secondAccount = testHelpers.accounts.second.address;
     thirdAccount = testHelpers.accounts.third.address;
     ownerPrivateKey = testHelpers.accounts.owner.privateKey;
+    ownerSigner = signerHelpers.createSigner(testHelpers.ownerWeb(), ownerPrivateKey);
     TronWeb = testHelpers.ownerWeb().constructor;
     
     console.log('=== Test Accounts ===');
@@ -245,10 +272,10 @@ contract('Permit2 - TIP-712 Compliant', () => {
       // Convert addresses to hex for TIP-712
       const message = {
         permitted: {
-          token: permitHelpers.toHex(permit.permitted.token, testHelpers.ownerWeb()),
+          token: permitHelpers.toHex(permit.permitted.token),
           amount: permit.permitted.amount
         },
-        spender: permitHelpers.toHex(permit.spender, testHelpers.ownerWeb()),
+        spender: permitHelpers.toHex(permit.spender),
         nonce: permit.nonce,
         deadline: permit.deadline
       };
@@ -301,7 +328,7 @@ contract('Permit2 - TIP-712 Compliant', () => {
       const result = await permit2_2.permitTransferFrom(
         permitHelpers.formatPermitForCall(permit),
         permitHelpers.formatTransferDetailsForCall(transferDetails),
-        permitHelpers.toHex(owner, testHelpers.ownerWeb()), // From the owner
+        permitHelpers.toHex(owner), // From the owner
         signature
       ).send({
         shouldPollResponse: true
@@ -415,10 +442,10 @@ contract('Permit2 - TIP-712 Compliant', () => {
     
     const message = {
       permitted: {
-        token: permitHelpers.toHex(permit.permitted.token, testHelpers.ownerWeb()),
+        token: permitHelpers.toHex(permit.permitted.token),
         amount: permit.permitted.amount
       },
-      spender: permitHelpers.toHex(permit.spender, testHelpers.ownerWeb()),
+      spender: permitHelpers.toHex(permit.spender),
       nonce: permit.nonce,
       deadline: permit.deadline
     };
@@ -437,7 +464,7 @@ contract('Permit2 - TIP-712 Compliant', () => {
     const result = await permit2_2.permitTransferFrom(
       permitHelpers.formatPermitForCall(permit),
       permitHelpers.formatTransferDetailsForCall(transferDetails),
-      permitHelpers.toHex(owner, testHelpers.ownerWeb()),
+      permitHelpers.toHex(owner),
       signature
     ).send({
       shouldPollResponse: true
@@ -465,13 +492,14 @@ contract('Permit2 - TIP-712 Compliant', () => {
     const deadline = Math.floor(Date.now() / 1000) - 3600; // 1 hour ago - expired
     const amount = '1000000000000000000';
     
-    // Create permit with expired deadline
+    // Create permit with expired deadline (the builder rejects past deadlines unless told otherwise)
     const permit = permitHelpers.createPermit(
       mockERC20.address,
       amount,
       secondAccount,
       nonce,
-      deadline
+      deadline,
+      { allowExpired: true }
     );
     
     const transferDetails = permitHelpers.createTransferDetails(
@@ -496,10 +524,10 @@ contract('Permit2 - TIP-712 Compliant', () => {
     
     const message = {
       permitted: {
-        token: permitHelpers.toHex(permit.permitted.token, testHelpers.ownerWeb()),
+        token: permitHelpers.toHex(permit.permitted.token),
         amount: permit.permitted.amount
       },
-      spender: permitHelpers.toHex(permit.spender, testHelpers.ownerWeb()),
+      spender: permitHelpers.toHex(permit.spender),
       nonce: permit.nonce,
       deadline: permit.deadline
     };
@@ -515,7 +543,7 @@ contract('Permit2 - TIP-712 Compliant', () => {
       await permit2_2.permitTransferFrom(
         permitHelpers.formatPermitForCall(permit),
         permitHelpers.formatTransferDetailsForCall(transferDetails),
-        permitHelpers.toHex(owner, testHelpers.ownerWeb()),
+        permitHelpers.toHex(owner),
         signature
       ).send({
         shouldPollResponse: true
@@ -528,6 +556,35 @@ contract('Permit2 - TIP-712 Compliant', () => {
     }
   });
   
+  it('should decode SignatureExpired from a reverted permitTransferFrom', async () => {
+    console.log('\n=== Test: Decode SignatureExpired ===');
+    
+    const { nonce } = generatePermitParams();
+    const deadline = Math.floor(Date.now() / 1000) - 3600; // 1 hour ago - expired
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline, { allowExpired: true });
+    const transferDetails = permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT);
+    const signature = await new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId }).signPermitTransferFrom(permit);
+    
+    try {
+      await permit2_2.permitTransferFrom(
+        permitHelpers.formatPermitForCall(permit),
+        permitHelpers.formatTransferDetailsForCall(transferDetails),
+        permitHelpers.toHex(owner),
+        signature
+      ).send({
+        shouldPollResponse: true
+      });
+      
+      assert.fail('Expected transaction to revert');
+    } catch (error) {
+      const decoded = errors.toPermit2Error(testHelpers.secondWeb(), error);
+      console.log('Decoded revert:', decoded.message);
+      assert(decoded instanceof errors.SignatureExpiredError, 'Should decode SignatureExpired');
+      assert.equal(decoded.errorName, 'SignatureExpired', 'Error name should be decoded');
+      assert.equal(decoded.args.signatureDeadline, deadline.toString(), 'Deadline argument should be decoded');
+    }
+  });
+  
   it('should successfully execute permitWitnessTransferFrom with witness data', async () => {
     console.log('\n=== Test: permitWitnessTransferFrom with Witness Data ===');
     
@@ -600,7 +657,7 @@ contract('Permit2 - TIP-712 Compliant', () => {
     const tx = await permit2_2.permitWitnessTransferFrom(
       permitHelpers.formatPermitForCall(permit),
       permitHelpers.formatTransferDetailsForCall(transferDetails),
-      permitHelpers.toHex(owner, testHelpers.ownerWeb()),
+      permitHelpers.toHex(owner),
       witness,
       witnessTypeString,
       signature
@@ -647,4 +704,1591 @@ contract('Permit2 - TIP-712 Compliant', () => {
     console.log('✅ permitWitnessTransferFrom executed successfully with witness data!');
   });
 
-}); 
\ No newline at end of file
+  it('should successfully execute permit with a PermitSingle signature', async () => {
+    console.log('\n=== Test: permit with PermitSingle ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const { deadline } = generatePermitParams();
+    const expiration = deadline + 3600; // Allowance outlives the signature
+    
+    // Allowance nonces are ordered, so a fresh owner/token/spender starts at 0
+    const permitSingle = permitHelpers.createPermitSingle(
+      mockERC20.address,
+      TRANSFER_AMOUNT,
+      expiration,
+      0,
+      secondAccount,
+      deadline
+    );
+    console.log('PermitSingle:', JSON.stringify(permitSingle, null, 2));
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    
+    // Generate hash using permit helper
+    const { structHash, finalHash } = permitHelpers.getPermitSingleHash(
+      testHelpers.ownerWeb(),
+      permitSingle,
+      domainSeparator
+    );
+    console.log('Struct hash from helper:', structHash);
+    console.log('Final hash to sign:', finalHash);
+    
+    const signature = await signerHelpers.signHash(testHelpers.ownerWeb(), ownerSigner, finalHash);
+    
+    // permit is overloaded, so call the PermitSingle variant by its signature
+    await permit2_2['permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)'](
+      permitHelpers.toHex(owner),
+      permitHelpers.formatPermitSingleForCall(permitSingle),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const allowance = await permit2.allowance(owner, mockERC20.address, secondAccount).call();
+    console.log('Allowance after permit:', allowance.amount.toString(), allowance.expiration.toString(), allowance.nonce.toString());
+    
+    assert.equal(allowance.amount.toString(), TRANSFER_AMOUNT, 'Allowance amount should match the permit');
+    assert.equal(allowance.expiration.toString(), expiration.toString(), 'Allowance expiration should match the permit');
+    assert.equal(allowance.nonce.toString(), '1', 'Allowance nonce should be incremented');
+    
+    console.log('✅ permit executed successfully with PermitSingle!');
+  });
+
+  it('should successfully execute permit with a PermitBatch signature', async () => {
+    console.log('\n=== Test: permit with PermitBatch ===');
+    
+    // Deploy contracts plus a second token for the batch
+    await deployContracts();
+    const MockERC20 = artifacts.require('MockERC20');
+    const secondToken = await testHelpers.deployContract(testHelpers.ownerWeb(), MockERC20._json, "Mock Token 2", "MOCK2");
+    
+    const { deadline } = generatePermitParams();
+    const expiration = deadline + 3600;
+    const secondAmount = '5000000000000000000'; // 5 tokens
+    
+    const permitBatch = permitHelpers.createPermitBatch(
+      [
+        permitHelpers.createPermitDetails(mockERC20.address, TRANSFER_AMOUNT, expiration, 0),
+        permitHelpers.createPermitDetails(secondToken.address, secondAmount, expiration, 0)
+      ],
+      secondAccount,
+      deadline
+    );
+    console.log('PermitBatch:', JSON.stringify(permitBatch, null, 2));
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    
+    // Generate hash using permit helper
+    const { structHash, finalHash } = permitHelpers.getPermitBatchHash(
+      testHelpers.ownerWeb(),
+      permitBatch,
+      domainSeparator
+    );
+    console.log('Struct hash from helper:', structHash);
+    console.log('Final hash to sign:', finalHash);
+    
+    const signature = await signerHelpers.signHash(testHelpers.ownerWeb(), ownerSigner, finalHash);
+    
+    // permit is overloaded, so call the PermitBatch variant by its signature
+    await permit2_2['permit(address,((address,uint160,uint48,uint48)[],address,uint256),bytes)'](
+      permitHelpers.toHex(owner),
+      permitHelpers.formatPermitBatchForCall(permitBatch),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const firstAllowance = await permit2.allowance(owner, mockERC20.address, secondAccount).call();
+    const secondAllowance = await permit2.allowance(owner, secondToken.address, secondAccount).call();
+    
+    assert.equal(firstAllowance.amount.toString(), TRANSFER_AMOUNT, 'First token allowance should match the permit');
+    assert.equal(secondAllowance.amount.toString(), secondAmount, 'Second token allowance should match the permit');
+    assert.equal(firstAllowance.nonce.toString(), '1', 'First token nonce should be incremented');
+    assert.equal(secondAllowance.nonce.toString(), '1', 'Second token nonce should be incremented');
+    
+    console.log('✅ permit executed successfully with PermitBatch!');
+  });
+
+  it('should successfully execute batch permitTransferFrom with multiple tokens', async () => {
+    console.log('\n=== Test: Batch permitTransferFrom ===');
+    
+    // Deploy contracts plus a second token for the batch
+    await deployContracts();
+    const MockERC20 = artifacts.require('MockERC20');
+    const secondToken = await testHelpers.deployContract(testHelpers.ownerWeb(), MockERC20._json, "Mock Token 2", "MOCK2");
+    await secondToken.mint(owner, TOKEN_AMOUNT).send();
+    await secondToken.approve(permit2.address, TOKEN_AMOUNT).send();
+    
+    const { nonce, deadline } = generatePermitParams();
+    const secondAmount = '5000000000000000000'; // 5 tokens
+    
+    // Build batch permit and transfer details using helpers
+    const permit = permitHelpers.createPermitBatchTransferFrom(
+      [
+        permitHelpers.createTokenPermissions(mockERC20.address, TRANSFER_AMOUNT),
+        permitHelpers.createTokenPermissions(secondToken.address, secondAmount)
+      ],
+      secondAccount, // The second account will call permitTransferFrom
+      nonce,
+      deadline
+    );
+    
+    // Transfer details are matched to permitted tokens by index
+    const transferDetails = [
+      permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT),
+      permitHelpers.createTransferDetails(thirdAccount, secondAmount)
+    ];
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    
+    // Generate hash using permit helper
+    const { structHash, finalHash } = permitHelpers.getPermitBatchTransferFromHash(
+      testHelpers.ownerWeb(),
+      permit,
+      domainSeparator
+    );
+    console.log('Struct hash from helper:', structHash);
+    console.log('Final hash to sign:', finalHash);
+    
+    const signature = await signerHelpers.signHash(testHelpers.ownerWeb(), ownerSigner, finalHash);
+    
+    const firstBefore = await checkBalances(mockERC20, secondAccount);
+    const secondBefore = await checkBalances(secondToken, thirdAccount);
+    
+    // permitTransferFrom is overloaded, so call the batch variant by its signature
+    await permit2_2['permitTransferFrom(((address,uint256)[],uint256,uint256),(address,uint256)[],address,bytes)'](
+      permitHelpers.formatPermitBatchTransferFromForCall(permit),
+      permitHelpers.formatBatchTransferDetailsForCall(transferDetails),
+      permitHelpers.toHex(owner),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const firstAfter = await checkBalances(mockERC20, secondAccount);
+    const secondAfter = await checkBalances(secondToken, thirdAccount);
+    
+    assert.equal(
+      firstAfter[secondAccount].toString(),
+      (BigInt(firstBefore[secondAccount]) + BigInt(TRANSFER_AMOUNT)).toString(),
+      'Second account should receive the first token'
+    );
+    assert.equal(
+      secondAfter[thirdAccount].toString(),
+      (BigInt(secondBefore[thirdAccount]) + BigInt(secondAmount)).toString(),
+      'Third account should receive the second token'
+    );
+    
+    console.log('✅ Batch permitTransferFrom executed successfully!');
+  });
+
+  it('should successfully execute batch permitWitnessTransferFrom with witness data', async () => {
+    console.log('\n=== Test: Batch permitWitnessTransferFrom ===');
+    
+    // Deploy contracts plus a second token for the batch
+    await deployContracts();
+    const MockERC20 = artifacts.require('MockERC20');
+    const secondToken = await testHelpers.deployContract(testHelpers.ownerWeb(), MockERC20._json, "Mock Token 2", "MOCK2");
+    await secondToken.mint(owner, TOKEN_AMOUNT).send();
+    await secondToken.approve(permit2.address, TOKEN_AMOUNT).send();
+    
+    const { nonce, deadline } = generatePermitParams();
+    const secondAmount = '5000000000000000000'; // 5 tokens
+    
+    // Define witness data
+    const witnessValue = 67890;
+    const witnessTypeString = "ExtraData(uint256 value)";
+    const witness = permitHelpers.createWitnessHash(
+      testHelpers.ownerWeb(),
+      witnessValue
+    );
+    
+    const permit = permitHelpers.createPermitBatchTransferFrom(
+      [
+        permitHelpers.createTokenPermissions(mockERC20.address, TRANSFER_AMOUNT),
+        permitHelpers.createTokenPermissions(secondToken.address, secondAmount)
+      ],
+      secondAccount, // The spender is the account calling permitWitnessTransferFrom
+      nonce,
+      deadline
+    );
+    
+    const transferDetails = [
+      permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT),
+      permitHelpers.createTransferDetails(secondAccount, secondAmount)
+    ];
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    
+    // Generate hash using permit helper
+    const { structHash, finalHash } = permitHelpers.getPermitBatchWitnessTransferFromHash(
+      testHelpers.ownerWeb(),
+      permit,
+      witness,
+      witnessTypeString,
+      secondAccount, // msg.sender will be the secondAccount calling permitWitnessTransferFrom
+      domainSeparator
+    );
+    console.log('Struct hash from helper:', structHash);
+    console.log('Final hash to sign:', finalHash);
+    
+    const signature = await signerHelpers.signHash(testHelpers.ownerWeb(), ownerSigner, finalHash);
+    
+    // permitWitnessTransferFrom is overloaded, so call the batch variant by its signature
+    await permit2_2['permitWitnessTransferFrom(((address,uint256)[],uint256,uint256),(address,uint256)[],address,bytes32,string,bytes)'](
+      permitHelpers.formatPermitBatchTransferFromForCall(permit),
+      permitHelpers.formatBatchTransferDetailsForCall(transferDetails),
+      permitHelpers.toHex(owner),
+      witness,
+      witnessTypeString,
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const firstBalance = await mockERC20.balanceOf(secondAccount).call();
+    const secondBalance = await secondToken.balanceOf(secondAccount).call();
+    
+    assert.equal(firstBalance.toString(), TRANSFER_AMOUNT, 'Second account should receive the first token');
+    assert.equal(secondBalance.toString(), secondAmount, 'Second account should receive the second token');
+    
+    console.log('✅ Batch permitWitnessTransferFrom executed successfully with witness data!');
+  });
+
+  it('should successfully execute permitWitnessTransferFrom with a typed witness struct', async () => {
+    console.log('\n=== Test: permitWitnessTransferFrom with Typed Witness ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const { nonce, deadline } = generatePermitParams();
+    
+    // Witness struct with an address, a string and a nested struct array
+    const witnessTypes = {
+      Order: [
+        { name: 'maker', type: 'address' },
+        { name: 'fills', type: 'Fill[]' },
+        { name: 'memo', type: 'string' }
+      ],
+      Fill: [
+        { name: 'recipient', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+      ]
+    };
+    const witnessData = {
+      maker: owner,
+      fills: [{ recipient: secondAccount, amount: TRANSFER_AMOUNT }],
+      memo: 'order #1'
+    };
+    
+    const { witness, witnessTypeString } = permitHelpers.createTypedWitness(
+      testHelpers.ownerWeb(),
+      witnessTypes,
+      'Order',
+      witnessData
+    );
+    console.log('Witness hash:', witness);
+    console.log('Witness type string:', witnessTypeString);
+    
+    assert.equal(
+      witnessTypeString,
+      'Order witness)Fill(address recipient,uint256 amount)Order(address maker,Fill[] fills,string memo)TokenPermissions(address token,uint256 amount)',
+      'Witness type string should list referenced types in alphabetical order'
+    );
+    
+    const permit = permitHelpers.createPermit(
+      mockERC20.address,
+      TRANSFER_AMOUNT,
+      secondAccount,
+      nonce,
+      deadline
+    );
+    const transferDetails = permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT);
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    const { finalHash } = permitHelpers.getPermitWitnessTransferFromHash(
+      testHelpers.ownerWeb(),
+      permit,
+      witness,
+      witnessTypeString,
+      secondAccount,
+      domainSeparator
+    );
+    
+    // The manual hash must match a full TIP-712 encoding of the witness permit
+    const domain = getDomain(permit2.address);
+    const types = {
+      PermitWitnessTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'witness', type: 'Order' }
+      ],
+      TokenPermissions: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+      ],
+      ...witnessTypes
+    };
+    const message = {
+      permitted: {
+        token: toHex(permit.permitted.token),
+        amount: permit.permitted.amount
+      },
+      spender: toHex(permit.spender),
+      nonce: permit.nonce,
+      deadline: permit.deadline,
+      witness: {
+        maker: toHex(owner),
+        fills: [{ recipient: toHex(secondAccount), amount: TRANSFER_AMOUNT }],
+        memo: witnessData.memo
+      }
+    };
+    const typedDataHash = testHelpers.ownerWeb().utils._TypedDataEncoder.hash(domain, types, message);
+    assert.equal(finalHash, typedDataHash, 'Helper hash should match TIP-712 typed data hash');
+    
+    const signature = await signerHelpers.signHash(testHelpers.ownerWeb(), ownerSigner, finalHash);
+    
+    await permit2_2.permitWitnessTransferFrom(
+      permitHelpers.formatPermitForCall(permit),
+      permitHelpers.formatTransferDetailsForCall(transferDetails),
+      permitHelpers.toHex(owner),
+      witness,
+      witnessTypeString,
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const secondBalance = await mockERC20.balanceOf(secondAccount).call();
+    assert.equal(secondBalance.toString(), TRANSFER_AMOUNT, 'Second account should receive transfer amount');
+    
+    console.log('✅ permitWitnessTransferFrom executed successfully with a typed witness!');
+  });
+
+  it('should execute permitTransferFrom with a compact signature from the signing API', async () => {
+    console.log('\n=== Test: Signing API with EIP-2098 Compact Signature ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(
+      mockERC20.address,
+      TRANSFER_AMOUNT,
+      secondAccount,
+      nonce,
+      deadline
+    );
+    const transferDetails = permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT);
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    
+    // Hash and sign in one step, asking for a 64-byte signature
+    const signature = await signerHelpers.signPermit(
+      testHelpers.ownerWeb(),
+      ownerSigner,
+      signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+      permit,
+      domainSeparator,
+      { compact: true }
+    );
+    console.log('Compact signature:', signature);
+    assert.equal(signature.length, 130, 'Compact signature should be 64 bytes');
+    
+    // A callback signer wrapping the same key produces the same digest signature
+    const callbackSigner = signerHelpers.createSigner(testHelpers.ownerWeb(), (hash) => ownerSigner.signHash(hash));
+    const callbackSignature = await signerHelpers.signPermit(
+      testHelpers.ownerWeb(),
+      callbackSigner,
+      signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+      permit,
+      domainSeparator,
+      { compact: true }
+    );
+    assert.equal(callbackSignature, signature, 'Callback signer should produce the same signature');
+    
+    await permit2_2.permitTransferFrom(
+      permitHelpers.formatPermitForCall(permit),
+      permitHelpers.formatTransferDetailsForCall(transferDetails),
+      permitHelpers.toHex(owner),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const secondBalance = await mockERC20.balanceOf(secondAccount).call();
+    assert.equal(secondBalance.toString(), TRANSFER_AMOUNT, 'Second account should receive transfer amount');
+    
+    console.log('✅ permitTransferFrom executed successfully with a compact signature!');
+  });
+
+  it('should compute the domain separator offline', async () => {
+    console.log('\n=== Test: Offline Domain Separator ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    const offlineDomainSeparator = domainHelpers.computeDomainSeparator(domainHelpers.CHAIN_IDS.local, permit2.address);
+    
+    console.log('On-chain domain separator:', domainSeparator);
+    console.log('Offline domain separator:', offlineDomainSeparator);
+    
+    assert.equal(offlineDomainSeparator, domainSeparator, 'Offline domain separator should match the contract');
+    
+    // The chain ID read from the node should match the known local chain ID
+    const nodeChainId = await domainHelpers.getChainId(testHelpers.ownerWeb());
+    assert.equal(nodeChainId, domainHelpers.CHAIN_IDS.local, 'Node chain ID should match the known local chain ID');
+    
+    console.log('✅ Offline domain separator matches the contract!');
+  });
+
+  it('should build typed data payloads that hash to the same digest as the manual helpers', async () => {
+    console.log('\n=== Test: Typed Data Payload Builders ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    const { nonce, deadline } = generatePermitParams();
+    
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const batchPermit = permitHelpers.createPermitBatchTransferFrom(
+      [
+        permitHelpers.createTokenPermissions(mockERC20.address, TRANSFER_AMOUNT),
+        permitHelpers.createTokenPermissions(permit2.address, '1')
+      ],
+      secondAccount,
+      nonce,
+      deadline
+    );
+    const permitSingle = permitHelpers.createPermitSingle(mockERC20.address, TRANSFER_AMOUNT, deadline + 3600, 0, secondAccount, deadline);
+    const permitBatch = permitHelpers.createPermitBatch(
+      [permitHelpers.createPermitDetails(mockERC20.address, TRANSFER_AMOUNT, deadline + 3600, 0)],
+      secondAccount,
+      deadline
+    );
+    
+    const witnessDescription = {
+      types: { ExtraData: [{ name: 'value', type: 'uint256' }] },
+      primaryType: 'ExtraData',
+      data: { value: 12345 }
+    };
+    const { witness, witnessTypeString } = permitHelpers.createTypedWitness(
+      tronWeb,
+      witnessDescription.types,
+      witnessDescription.primaryType,
+      witnessDescription.data
+    );
+    
+    const cases = [
+      {
+        name: 'PermitTransferFrom',
+        payload: payloadHelpers.buildPermitTransferFromPayload(tronWeb, permit, chainId, permit2.address),
+        expected: permitHelpers.getPermitTransferFromHash(tronWeb, permit, domainSeparator).finalHash
+      },
+      {
+        name: 'PermitBatchTransferFrom',
+        payload: payloadHelpers.buildPermitBatchTransferFromPayload(tronWeb, batchPermit, chainId, permit2.address),
+        expected: permitHelpers.getPermitBatchTransferFromHash(tronWeb, batchPermit, domainSeparator).finalHash
+      },
+      {
+        name: 'PermitWitnessTransferFrom',
+        payload: payloadHelpers.buildPermitWitnessTransferFromPayload(tronWeb, permit, witnessDescription, chainId, permit2.address),
+        expected: permitHelpers.getPermitWitnessTransferFromHash(
+          tronWeb, permit, witness, witnessTypeString, secondAccount, domainSeparator
+        ).finalHash
+      },
+      {
+        name: 'PermitBatchWitnessTransferFrom',
+        payload: payloadHelpers.buildPermitBatchWitnessTransferFromPayload(tronWeb, batchPermit, witnessDescription, chainId, permit2.address),
+        expected: permitHelpers.getPermitBatchWitnessTransferFromHash(
+          tronWeb, batchPermit, witness, witnessTypeString, secondAccount, domainSeparator
+        ).finalHash
+      },
+      {
+        name: 'PermitSingle',
+        payload: payloadHelpers.buildPermitSinglePayload(tronWeb, permitSingle, chainId, permit2.address),
+        expected: permitHelpers.getPermitSingleHash(tronWeb, permitSingle, domainSeparator).finalHash
+      },
+      {
+        name: 'PermitBatch',
+        payload: payloadHelpers.buildPermitBatchPayload(tronWeb, permitBatch, chainId, permit2.address),
+        expected: permitHelpers.getPermitBatchHash(tronWeb, permitBatch, domainSeparator).finalHash
+      }
+    ];
+    
+    for (const { name, payload, expected } of cases) {
+      const payloadHash = payloadHelpers.hashPayload(tronWeb, payload);
+      console.log(`${name}: ${payloadHash}`);
+      assert.equal(payload.primaryType, name, `${name} payload should have the right primary type`);
+      assert.deepEqual(payload.domain, payloadHelpers.buildDomain(chainId, permit2.address), `${name} payload should use the Permit2 domain`);
+      assert.equal(payloadHash, expected, `${name} payload should hash to the manual helper digest`);
+    }
+    
+    // A wallet signature over the PermitSingle payload is accepted by the contract
+    const permitSinglePayload = cases.find(({ name }) => name === 'PermitSingle').payload;
+    const signature = await payloadHelpers.signPayload(tronWeb, permitSinglePayload);
+    
+    await permit2_2['permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)'](
+      permitHelpers.toHex(owner),
+      permitHelpers.formatPermitSingleForCall(permitSingle),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const allowance = await permit2.allowance(owner, mockERC20.address, secondAccount).call();
+    assert.equal(allowance.amount.toString(), TRANSFER_AMOUNT, 'Allowance should be set from the payload signature');
+    
+    console.log('✅ Typed data payloads match the manual helpers!');
+  });
+
+  it('should pick free unordered nonces and invalidate them with the nonce manager', async () => {
+    console.log('\n=== Test: Unordered Nonce Manager ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const nonceManager = new UnorderedNonceManager(permit2);
+    
+    // Concurrent requests must not hand out the same nonce
+    const [firstNonce, secondNonce] = await Promise.all([
+      nonceManager.nextNonce(owner),
+      nonceManager.nextNonce(owner)
+    ]);
+    console.log('Reserved nonces:', firstNonce, secondNonce);
+    assert.equal(firstNonce, '0', 'First free nonce of a fresh owner should be 0');
+    assert.equal(secondNonce, '1', 'Concurrent reservation should get the next nonce');
+    
+    // Use the first nonce on-chain
+    const { deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, firstNonce, deadline);
+    const transferDetails = permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT);
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    const signature = await signerHelpers.signPermit(
+      testHelpers.ownerWeb(),
+      ownerSigner,
+      signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+      permit,
+      domainSeparator
+    );
+    
+    await permit2_2.permitTransferFrom(
+      permitHelpers.formatPermitForCall(permit),
+      permitHelpers.formatTransferDetailsForCall(transferDetails),
+      permitHelpers.toHex(owner),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    assert.equal(await nonceManager.isNonceUsed(owner, firstNonce), true, 'Used nonce should be set in the bitmap');
+    
+    // Releasing the second reservation makes it available again
+    nonceManager.release(owner, secondNonce);
+    assert.equal(await nonceManager.nextNonce(owner), secondNonce, 'Released nonce should be handed out again');
+    
+    // Invalidate a nonce in a later word together with the reserved one
+    const laterNonce = '300';
+    const invalidations = nonceManager.getInvalidationParams([secondNonce, laterNonce]);
+    console.log('Invalidation params:', JSON.stringify(invalidations));
+    assert.deepEqual(invalidations, [
+      { wordPos: '0', mask: '2' },
+      { wordPos: '1', mask: (BigInt(1) << BigInt(44)).toString() }
+    ], 'Invalidation params should group nonces by bitmap word');
+    
+    for (const { wordPos, mask } of invalidations) {
+      await permit2.invalidateUnorderedNonces(wordPos, mask).send({
+        shouldPollResponse: true
+      });
+    }
+    
+    assert.equal(await nonceManager.isNonceUsed(owner, secondNonce), true, 'Invalidated nonce should be set');
+    assert.equal(await nonceManager.isNonceUsed(owner, laterNonce), true, 'Invalidated nonce in a later word should be set');
+    assert.equal(await nonceManager.nextNonce(owner), '2', 'Next free nonce should skip used and invalidated nonces');
+    
+    console.log('✅ Nonce manager picks and invalidates nonces correctly!');
+  });
+
+  it('should read allowances and manage ordered nonces with the allowance client', async () => {
+    console.log('\n=== Test: Allowance Client ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    // permit2 is bound to the owner, so sends from this client come from the owner
+    const allowanceClient = new AllowanceClient(permit2);
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    const { deadline } = generatePermitParams();
+    const expiration = deadline + 3600;
+    
+    // Nothing approved yet
+    const initial = await allowanceClient.getAllowance(owner, mockERC20.address, secondAccount);
+    assert.equal(initial.amount, '0', 'Initial allowance should be empty');
+    assert.equal(initial.nonce, 0, 'Initial nonce should be 0');
+    
+    // Build and submit the next permit with the on-chain nonce
+    const permitSingle = await allowanceClient.buildPermitSingle(
+      owner, mockERC20.address, TRANSFER_AMOUNT, expiration, secondAccount, deadline
+    );
+    assert.equal(permitSingle.details.nonce, 0, 'First permit should use nonce 0');
+    
+    const signature = await signerHelpers.signPermit(
+      testHelpers.ownerWeb(),
+      ownerSigner,
+      signerHelpers.MESSAGE_TYPES.PERMIT_SINGLE,
+      permitSingle,
+      domainSeparator
+    );
+    await permit2_2['permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)'](
+      permitHelpers.toHex(owner),
+      permitHelpers.formatPermitSingleForCall(permitSingle),
+      signature
+    ).send({
+      shouldPollResponse: true
+    });
+    
+    const afterPermit = await allowanceClient.getAllowance(owner, mockERC20.address, secondAccount);
+    console.log('Allowance after permit:', JSON.stringify(afterPermit));
+    assert.equal(afterPermit.amount, TRANSFER_AMOUNT, 'Allowance amount should be decoded');
+    assert.equal(afterPermit.expiration, expiration, 'Allowance expiration should be decoded');
+    assert.equal(afterPermit.nonce, 1, 'Nonce should be incremented by the permit');
+    assert.equal(afterPermit.expired, false, 'Fresh allowance should not be expired');
+    
+    // The next permit picks up the new nonce, then gets revoked before use
+    const pendingPermit = await allowanceClient.buildPermitSingle(
+      owner, mockERC20.address, TRANSFER_AMOUNT, expiration, secondAccount, deadline
+    );
+    assert.equal(pendingPermit.details.nonce, 1, 'Next permit should use the current nonce');
+    
+    const { oldNonce, newNonce } = await allowanceClient.revokePendingPermits(
+      owner, mockERC20.address, secondAccount, 1, { shouldPollResponse: true }
+    );
+    assert.equal(oldNonce, 1, 'Revocation should start from the current nonce');
+    assert.equal(newNonce, 2, 'Revocation should move the nonce past the pending permit');
+    
+    const pendingSignature = await signerHelpers.signPermit(
+      testHelpers.ownerWeb(),
+      ownerSigner,
+      signerHelpers.MESSAGE_TYPES.PERMIT_SINGLE,
+      pendingPermit,
+      domainSeparator
+    );
+    try {
+      await permit2_2['permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)'](
+        permitHelpers.toHex(owner),
+        permitHelpers.formatPermitSingleForCall(pendingPermit),
+        pendingSignature
+      ).send({
+        shouldPollResponse: true
+      });
+      assert.fail('Expected revoked permit to revert');
+    } catch (error) {
+      assert(error.message.includes('REVERT'), 'Revoked permit should revert');
+      assert(
+        errors.toPermit2Error(testHelpers.secondWeb(), error) instanceof errors.InvalidNonceError,
+        'Revoked permit should revert with InvalidNonce'
+      );
+    }
+    
+    // An approval with an expiration in the past is reported as expired
+    await permit2.approve(mockERC20.address, thirdAccount, TRANSFER_AMOUNT, 1).send({
+      shouldPollResponse: true
+    });
+    const expired = await allowanceClient.getAllowance(owner, mockERC20.address, thirdAccount);
+    assert.equal(expired.expired, true, 'Allowance past its expiration should be expired');
+    
+    console.log('✅ Allowance client reads state and revokes pending permits!');
+  });
+
+  it('should sign and submit every flow through the Permit2 client', async () => {
+    console.log('\n=== Test: Permit2 Client ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    // The owner client signs, the second account client submits as spender
+    const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    
+    // Offline domain separator matches the contract's
+    const contractDomainSeparator = await spenderClient.getDomainSeparator();
+    assert.equal(await ownerClient.getDomainSeparator(), contractDomainSeparator, 'Offline domain separator should match the contract');
+    
+    // SignatureTransfer: owner signs, spender submits
+    const nonce = await ownerClient.nonces.nextNonce(owner);
+    const { deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    const transferDetails = permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT);
+    
+    await spenderClient.permitTransferFrom(permit, transferDetails, owner, signature, { shouldPollResponse: true });
+    assert.equal(await spenderClient.nonces.isNonceUsed(owner, nonce), true, 'Nonce should be used after the transfer');
+    
+    // AllowanceTransfer: permit, spend, then lock down
+    const expiration = deadline + 3600;
+    const permitSingle = await ownerClient.allowances.buildPermitSingle(
+      owner, mockERC20.address, TRANSFER_AMOUNT, expiration, secondAccount, deadline
+    );
+    const permitSignature = await ownerClient.signPermitSingle(permitSingle);
+    await spenderClient.permit(owner, permitSingle, permitSignature, { shouldPollResponse: true });
+    
+    const allowance = await spenderClient.allowance(owner, mockERC20.address, secondAccount);
+    assert.equal(allowance.amount, TRANSFER_AMOUNT, 'Permit should set the allowance');
+    
+    const partialAmount = '1000000000000000000';
+    await spenderClient.transferFrom(owner, thirdAccount, partialAmount, mockERC20.address, { shouldPollResponse: true });
+    
+    await ownerClient.lockdown([permitHelpers.createTokenSpenderPair(mockERC20.address, secondAccount)], {
+      shouldPollResponse: true
+    });
+    const lockedDown = await ownerClient.allowance(owner, mockERC20.address, secondAccount);
+    assert.equal(lockedDown.amount, '0', 'Lockdown should clear the allowance');
+    
+    // Client sends rethrow reverts as typed errors
+    try {
+      await spenderClient.transferFrom(owner, thirdAccount, partialAmount, mockERC20.address, { shouldPollResponse: true });
+      assert.fail('Expected transfer after lockdown to revert');
+    } catch (error) {
+      assert(error instanceof errors.InsufficientAllowanceError, 'Transfer after lockdown should revert with InsufficientAllowance');
+      assert.equal(error.args.amount, '0', 'Remaining allowance should be decoded');
+    }
+    
+    const thirdBalance = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(
+      thirdBalance.toString(),
+      (BigInt(TRANSFER_AMOUNT) + BigInt(partialAmount)).toString(),
+      'Third account should receive both transfers'
+    );
+    
+    console.log('✅ Permit2 client signs and submits SignatureTransfer and AllowanceTransfer flows!');
+  });
+
+  it('should simulate permit transfers and report go/no-go before broadcasting', async () => {
+    console.log('\n=== Test: Pre-flight Simulation ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const transferDetails = permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT);
+    
+    // A valid permit passes every check and the constant call
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    
+    const report = await spenderClient.permitTransferFrom(permit, transferDetails, owner, signature, { simulate: true });
+    console.log('Go report:', JSON.stringify(report.checks.map(check => `${check.name}:${check.ok}`)));
+    assert.equal(report.ok, true, 'Valid permit should be a go');
+    assert(report.energyUsed > 0, 'Constant call should report energy used');
+    
+    // Nothing was broadcast
+    assert.equal(await spenderClient.nonces.isNonceUsed(owner, nonce), false, 'Simulation should not consume the nonce');
+    
+    // An expired permit for more than the owner holds is a no-go with the reasons listed
+    const expiredPermit = permitHelpers.createPermit(
+      mockERC20.address, '1000000000000000000000', secondAccount, nonce + 1, Math.floor(Date.now() / 1000) - 3600,
+      { allowExpired: true }
+    );
+    const expiredSignature = await ownerClient.signPermitTransferFrom(expiredPermit);
+    const noGo = await spenderClient.permitTransferFrom(
+      expiredPermit,
+      permitHelpers.createTransferDetails(thirdAccount, '1000000000000000000000'),
+      owner,
+      expiredSignature,
+      { simulate: true }
+    );
+    console.log('No-go failures:', noGo.failures);
+    assert.equal(noGo.ok, false, 'Expired permit should be a no-go');
+    assert(noGo.failures.includes('deadline'), 'Deadline check should fail');
+    assert(noGo.failures.includes('balance'), 'Balance check should fail');
+    assert(noGo.failures.includes('trc20Allowance'), 'TRC20 allowance check should fail');
+    assert(noGo.revert instanceof errors.SignatureExpiredError, 'Constant call should decode SignatureExpired');
+    
+    // A permit signed by someone else fails the signature check
+    const forgedSignature = await spenderClient.signPermitTransferFrom(permit);
+    const forged = await spenderClient.permitTransferFrom(permit, transferDetails, owner, forgedSignature, { simulate: true });
+    assert(forged.failures.includes('signature'), 'Signature check should fail for a non-owner signature');
+    assert(forged.revert instanceof errors.InvalidSignerError, 'Constant call should decode InvalidSigner');
+    
+    console.log('✅ Simulation reports go/no-go without broadcasting!');
+  });
+
+  it('should estimate energy, bandwidth and a feeLimit for Permit2 calls', async () => {
+    console.log('\n=== Test: Fee Estimation ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address, { feeLimit: 'auto' });
+    
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    const transferDetails = permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT);
+    
+    const estimate = await spenderClient.permitTransferFrom(permit, transferDetails, owner, signature, { estimate: true });
+    console.log('Estimate:', JSON.stringify(estimate));
+    assert(estimate.energy.total > 0, 'Energy should be estimated');
+    assert.equal(estimate.energy.caller + estimate.energy.origin, estimate.energy.total, 'Energy should be split between caller and deployer');
+    assert.equal(estimate.userFeePercentage, testHelpers.NETWORK_CONFIG.userFeePercentage, 'Contract userFeePercentage should be reported');
+    assert(estimate.bandwidth.bytes > 0, 'Bandwidth should be estimated');
+    assert(estimate.energyPrice > 0, 'Energy price should come from the chain parameters');
+    assert(
+      estimate.feeLimit >= estimate.energy.caller * estimate.energyPrice,
+      'Suggested feeLimit should cover the caller energy'
+    );
+    assert.equal(estimate.coveredByContract, estimate.energy.caller === 0, 'Contract coverage should follow the energy split');
+    
+    // Nothing was broadcast
+    assert.equal(await spenderClient.nonces.isNonceUsed(owner, nonce), false, 'Estimation should not consume the nonce');
+    
+    // A client with feeLimit 'auto' sends with the estimated feeLimit
+    await spenderClient.permitTransferFrom(permit, transferDetails, owner, signature, { shouldPollResponse: true });
+    const thirdBalance = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(thirdBalance.toString(), TRANSFER_AMOUNT, 'Transfer with an estimated feeLimit should succeed');
+    
+    // Estimating a call that would revert surfaces the decoded error
+    try {
+      await spenderClient.permitTransferFrom(permit, transferDetails, owner, signature, { estimate: true });
+      assert.fail('Expected estimation of a reverting call to fail');
+    } catch (error) {
+      assert(error instanceof errors.InvalidNonceError, 'Estimation should decode InvalidNonce');
+    }
+
+    // Once the deployer stakes energy, the contract covers the call and the feeLimit still covers all of it
+    const ownerWeb = testHelpers.ownerWeb();
+    const freeze = await ownerWeb.transactionBuilder.freezeBalanceV2(10000 * 1e6, 'ENERGY', owner);
+    await ownerWeb.trx.sendRawTransaction(await ownerWeb.trx.sign(freeze));
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    const coveredParams = generatePermitParams();
+    const coveredPermit = permitHelpers.createPermit(
+      mockERC20.address, TRANSFER_AMOUNT, secondAccount, coveredParams.nonce, coveredParams.deadline
+    );
+    const coveredSignature = await ownerClient.signPermitTransferFrom(coveredPermit);
+    const covered = await spenderClient.permitTransferFrom(
+      coveredPermit, transferDetails, owner, coveredSignature, { estimate: true }
+    );
+    assert.equal(covered.coveredByContract, true, 'Deployer energy should cover the call');
+    assert.equal(covered.energy.caller, 0, 'Caller should pay no energy');
+    assert.equal(covered.feeLimit, covered.energy.total * covered.energyPrice, 'feeLimit should fall back to the whole call');
+
+    await spenderClient.permitTransferFrom(coveredPermit, transferDetails, owner, coveredSignature, { shouldPollResponse: true });
+    const coveredBalance = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(coveredBalance.toString(), (BigInt(TRANSFER_AMOUNT) * BigInt(2)).toString(), 'Covered transfer should succeed');
+
+    console.log('✅ Fee estimator suggests a feeLimit from the chain energy price!');
+  });
+
+  it('should index Permit2 events into a materialized allowance and nonce view', async () => {
+    console.log('\n=== Test: Event Indexer ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const expiration = Math.floor(Date.now() / 1000) + 7200;
+    
+    // Approval for the second account, Permit for the third, then lockdown of the second
+    await ownerClient.approve(mockERC20.address, secondAccount, TRANSFER_AMOUNT, expiration, { shouldPollResponse: true });
+    const { deadline } = generatePermitParams();
+    const permitSingle = permitHelpers.createPermitSingle(mockERC20.address, TRANSFER_AMOUNT, expiration, 0, thirdAccount, deadline);
+    await spenderClient.permit(owner, permitSingle, await ownerClient.signPermitSingle(permitSingle), { shouldPollResponse: true });
+    await ownerClient.invalidateNonces(mockERC20.address, thirdAccount, 5, { shouldPollResponse: true });
+    await ownerClient.lockdown([permitHelpers.createTokenSpenderPair(mockERC20.address, secondAccount)], {
+      shouldPollResponse: true
+    });
+    await ownerClient.invalidateUnorderedNonces(1, 5, { shouldPollResponse: true });
+    
+    // The event server can lag behind the node, so sync until all five events are in
+    const indexer = new Permit2EventIndexer(testHelpers.ownerWeb(), permit2.address, { store: new MemoryStore() });
+    let records = [];
+    for (let i = 0; i < 10 && records.length < 5; i++) {
+      records = records.concat(await indexer.sync());
+      if (records.length < 5) await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+    console.log('Indexed events:', records.map(record => record.event));
+    assert.deepEqual(
+      records.map(record => record.event),
+      ['Approval', 'Permit', 'NonceInvalidation', 'Lockdown', 'UnorderedNonceInvalidation'],
+      'Every Permit2 event should be decoded in order'
+    );
+    
+    // Live allowances only include the permit to the third account
+    const allowances = await indexer.getAllowances(owner);
+    assert.equal(allowances.length, 1, 'Locked down allowance should be hidden');
+    assert.equal(allowances[0].spender, thirdAccount, 'Remaining allowance should be the permitted spender');
+    assert.equal(allowances[0].amount, TRANSFER_AMOUNT, 'Permitted amount should be indexed');
+    assert.equal(allowances[0].expiration, expiration, 'Expiration should be indexed');
+    assert.equal(allowances[0].nonce, 5, 'Nonce should follow the invalidation');
+    
+    const onChain = await ownerClient.allowance(owner, mockERC20.address, thirdAccount);
+    assert.equal(allowances[0].nonce, onChain.nonce, 'Indexed nonce should match the contract');
+    
+    assert.deepEqual(await indexer.getNonceWords(owner), [{ wordPos: '1', mask: '5' }], 'Nonce word should be indexed');
+    
+    // A second sync applies nothing new
+    assert.equal((await indexer.sync()).length, 0, 'Resync should not reapply events');
+    
+    // The JSON file store persists the view between indexer instances
+    const statePath = path.join(os.tmpdir(), `permit2-index-${Date.now()}.json`);
+    await new JsonFileStore(statePath).save(await indexer.getState());
+    const reloaded = new Permit2EventIndexer(testHelpers.ownerWeb(), permit2.address, { store: new JsonFileStore(statePath) });
+    assert.deepEqual(await reloaded.getAllowances(owner), allowances, 'Reloaded view should match');
+    assert.equal((await reloaded.sync()).length, 0, 'Reloaded cursor should skip applied events');
+    fs.unlinkSync(statePath);
+    
+    console.log('✅ Event indexer materializes allowances and nonce words!');
+  });
+
+  it('should audit live approvals and revoke them with a single lockdown', async () => {
+    console.log('\n=== Test: Approval Audit ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const ownerWeb = testHelpers.ownerWeb();
+    const ownerClient = new Permit2Client(ownerWeb, permit2.address, { chainId });
+    const now = Math.floor(Date.now() / 1000);
+    const MAX_UINT160 = ((BigInt(1) << BigInt(160)) - BigInt(1)).toString();
+    
+    // One unlimited, one expired, and one already revoked allowance
+    await ownerClient.approve(mockERC20.address, secondAccount, MAX_UINT160, now + 3600, { shouldPollResponse: true });
+    await ownerClient.approve(mockERC20.address, thirdAccount, TRANSFER_AMOUNT, now - 3600, { shouldPollResponse: true });
+    await ownerClient.approve(mockERC20.address, permit2.address, TRANSFER_AMOUNT, now + 3600, { shouldPollResponse: true });
+    await ownerClient.lockdown([permitHelpers.createTokenSpenderPair(mockERC20.address, permit2.address)], {
+      shouldPollResponse: true
+    });
+    
+    // The event server can lag behind the node, so retry until both live pairs show up
+    // A shared store lets every audit resume from the previous cursor
+    const store = new MemoryStore();
+    let allowances = [];
+    for (let i = 0; i < 10 && allowances.length < 2; i++) {
+      allowances = await auditApprovals.auditApprovals(ownerWeb, permit2.address, owner, { store });
+      if (allowances.length < 2) await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+    console.log('Audit:', JSON.stringify(allowances));
+    assert.equal(allowances.length, 2, 'Only live allowances should be listed');
+    assert.isAbove((await store.load()).cursor.blockTimestamp, 0, 'Audit should save the indexer cursor');
+    
+    const unlimited = allowances.find(allowance => allowance.spender === secondAccount);
+    const expired = allowances.find(allowance => allowance.spender === thirdAccount);
+    assert.equal(unlimited.unlimited, true, 'Max uint160 allowance should be flagged unlimited');
+    assert.equal(unlimited.expired, false, 'Future expiration should not be flagged');
+    assert.equal(expired.expired, true, 'Past expiration should be flagged expired');
+    assert.equal(expired.unlimited, false, 'Bounded amount should not be flagged unlimited');
+    
+    // Selections
+    assert.equal(auditApprovals.selectPairs(allowances, 'all').length, 2, 'all should select every live pair');
+    assert.deepEqual(
+      auditApprovals.selectPairs(allowances, 'expired'),
+      [permitHelpers.createTokenSpenderPair(mockERC20.address, thirdAccount)],
+      'expired should select the expired pair'
+    );
+    
+    // The unsigned lockdown transaction signs and broadcasts as one transaction
+    const pairs = auditApprovals.selectPairs(allowances, 'all');
+    const transaction = await auditApprovals.buildLockdownTransaction(ownerWeb, permit2.address, owner, pairs);
+    const signed = await ownerWeb.trx.sign(transaction, ownerPrivateKey);
+    const broadcast = await ownerWeb.trx.sendRawTransaction(signed);
+    assert.equal(broadcast.result, true, 'Lockdown transaction should be accepted');
+    
+    // Wait for the lockdown to land, then nothing is live
+    let remaining = allowances;
+    for (let i = 0; i < 10 && remaining.length > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      remaining = await auditApprovals.auditApprovals(ownerWeb, permit2.address, owner, { store });
+    }
+    assert.equal(remaining.length, 0, 'Lockdown should revoke every selected pair');
+    
+    console.log('✅ Approval audit lists, flags and revokes allowances!');
+  });
+
+  it('should relay signed permits from a relayer key through the HTTP service', async () => {
+    console.log('\n=== Test: Permit Relayer ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    // The second account relays and pays the energy, so it is the permit spender
+    const relayer = new Permit2Relayer(testHelpers.secondWeb(), permit2.address, {
+      chainId,
+      pollInterval: 1000,
+      policy: createAllowlistPolicy({ tokens: [mockERC20.address], recipients: [thirdAccount] })
+    });
+    const server = createRelayerServer(relayer).listen(0);
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = async (body) => {
+      const response = await fetch(`${url}/permits`, { method: 'POST', body: JSON.stringify(body) });
+      return { status: response.status, body: await response.json() };
+    };
+    
+    try {
+      const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+      const { nonce, deadline } = generatePermitParams();
+      const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+      const request = {
+        type: signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+        permit,
+        transferDetails: permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT),
+        owner,
+        signature: await ownerClient.signPermitTransferFrom(permit)
+      };
+      
+      // Tampered amounts fail signer recovery and are never queued
+      const tampered = await post({ ...request, permit: { ...permit, permitted: { ...permit.permitted, amount: TOKEN_AMOUNT } } });
+      assert.equal(tampered.status, 422, 'Invalid signature should be rejected');
+      assert.include(tampered.body.failures, 'signature', 'Signature check should fail');
+      
+      // Tokens outside the policy are refused before any check
+      const refused = await post({ ...request, permit: { ...permit, permitted: { ...permit.permitted, token: permit2.address } } });
+      assert.equal(refused.status, 403, 'Policy should refuse the token');
+      
+      // The signature does not cover the recipient, so redirecting it is refused by the policy
+      const redirected = await post({ ...request, transferDetails: permitHelpers.createTransferDetails(secondAccount, TRANSFER_AMOUNT) });
+      assert.equal(redirected.status, 403, 'Policy should refuse an unlisted recipient');
+      
+      const thirdBalanceBefore = await mockERC20.balanceOf(thirdAccount).call();
+      // Concurrent submits of the same permit: the first reserves the nonce, the second is a conflict
+      const responses = await Promise.all([post(request), post(request)]);
+      assert.deepEqual(responses.map(response => response.status).sort(), [202, 409], 'Only one concurrent submit should be queued');
+      const queued = responses.find(response => response.status === 202);
+      assert.equal(queued.body.status, 'queued', 'Job should start queued');
+      
+      // Resubmitting the same nonce while it is in flight is a conflict
+      assert.equal((await post(request)).status, 409, 'Duplicate nonce should be rejected');
+      
+      await relayer.onIdle();
+      const job = await (await fetch(`${url}/permits/${queued.body.id}`)).json();
+      console.log('Job:', JSON.stringify(job));
+      assert.equal(job.status, 'confirmed', 'Relayed permit should be confirmed');
+      
+      const thirdBalanceAfter = await mockERC20.balanceOf(thirdAccount).call();
+      assert.equal(
+        (BigInt(thirdBalanceAfter.toString()) - BigInt(thirdBalanceBefore.toString())).toString(),
+        TRANSFER_AMOUNT,
+        'Recipient should receive the permitted amount'
+      );
+      
+      // Once mined, the nonce bitmap rejects a replay
+      const replay = await post(request);
+      assert.equal(replay.status, 422, 'Replayed permit should be rejected');
+      assert.include(replay.body.failures, 'nonce', 'Nonce check should fail');
+    } finally {
+      server.close();
+    }
+    
+    console.log('✅ Relayer validates, queues and submits signed permits!');
+  });
+
+  it('should round-trip signed permits through the canonical JSON format', async () => {
+    console.log('\n=== Test: Signed Permit Serialization ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const ownerClient = new Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const transferDetails = permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT);
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    
+    // Mixed input encodings serialize to the same canonical JSON
+    const json = serializationHelpers.serializeSignedPermit({
+      type: signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+      chainId,
+      verifyingContract: permit2.address,
+      owner,
+      permit,
+      transferDetails,
+      signature
+    });
+    const mixed = serializationHelpers.serializeSignedPermit({
+      type: signerHelpers.MESSAGE_TYPES.PERMIT_TRANSFER_FROM,
+      chainId: BigInt(chainId),
+      verifyingContract: toHex(permit2.address),
+      owner: '0x' + toHex(owner).slice(2),
+      permit: { ...permit, nonce: BigInt(nonce), deadline: deadline.toString() },
+      transferDetails,
+      signature: signature.toUpperCase().replace('0X', '0x')
+    });
+    console.log('Serialized:', json);
+    assert.equal(mixed, json, 'Equivalent encodings should serialize identically');
+    
+    // Parsing is lossless and re-serializes byte for byte
+    const parsed = serializationHelpers.parseSignedPermit(json);
+    assert.deepEqual(
+      parsed.permit,
+      permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce.toString(), deadline.toString()),
+      'Parsed permit should match createPermit'
+    );
+    assert.deepEqual(parsed.transferDetails, transferDetails, 'Parsed transfer details should match createTransferDetails');
+    assert.equal(serializationHelpers.serializeSignedPermit(parsed), json, 'Round trip should be lossless');
+    
+    // Out-of-range and malformed values are rejected
+    const permitSingle = permitHelpers.createPermitSingle(mockERC20.address, TRANSFER_AMOUNT, deadline, 0, secondAccount, deadline);
+    permitSingle.details.expiration = 2 ** 48;
+    assert.throws(() => serializationHelpers.serializeSignedPermit({
+      type: signerHelpers.MESSAGE_TYPES.PERMIT_SINGLE, chainId, verifyingContract: permit2.address, permit: permitSingle, signature
+    }), /out of range for uint48/);
+    assert.throws(() => serializationHelpers.parseSignedPermit(json.replace('"version":1', '"version":2')), ValidationError, /unsupported version 2/);
+    assert.throws(() => serializationHelpers.parseSignedPermit(json.replace('"signature"', '"extra":1,"signature"')), ValidationError, /unknown field/);
+    assert.throws(() => serializationHelpers.parseSignedPermit(json.slice(1)), ValidationError, /not valid JSON/);
+    
+    // The parsed permit is accepted on-chain as is
+    await spenderClient.permitTransferFrom(parsed.permit, parsed.transferDetails, parsed.owner, parsed.signature, {
+      shouldPollResponse: true
+    });
+    const thirdBalance = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(thirdBalance.toString(), TRANSFER_AMOUNT, 'Parsed permit should transfer the permitted amount');
+    
+    console.log('✅ Signed permits round-trip through the canonical JSON format!');
+  });
+
+  it('should reject invalid permit inputs with descriptive errors before signing or sending', async () => {
+    console.log('\n=== Test: Input Validation ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const { nonce, deadline } = generatePermitParams();
+    const expectInvalid = (build, field, pattern) => {
+      try {
+        build();
+        assert.fail(`Expected ${field} to be rejected`);
+      } catch (error) {
+        assert(error instanceof ValidationError, `Expected a ValidationError for ${field}, got ${error.message}`);
+        assert.equal(error.field, field, 'Error should name the invalid field');
+        assert.match(error.message, pattern);
+      }
+    };
+    
+    // Addresses: bad checksum, truncated hex
+    const badChecksum = mockERC20.address.slice(0, -1) + (mockERC20.address.endsWith('a') ? 'b' : 'a');
+    expectInvalid(() => permitHelpers.createPermit(badChecksum, TRANSFER_AMOUNT, secondAccount, nonce, deadline), 'token', /checksum/);
+    expectInvalid(() => permitHelpers.createTransferDetails(toHex(thirdAccount).slice(0, 40), TRANSFER_AMOUNT), 'to', /address/);
+    
+    // Integers: negative, fractional, unsafe numbers and Solidity type bounds
+    expectInvalid(() => permitHelpers.createPermit(mockERC20.address, -1, secondAccount, nonce, deadline), 'amount', /negative/);
+    expectInvalid(() => permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, 1.5, deadline), 'nonce', /integer/);
+    expectInvalid(() => permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, 2 ** 60, deadline), 'nonce', /MAX_SAFE_INTEGER/);
+    expectInvalid(
+      () => permitHelpers.createPermitDetails(mockERC20.address, (BigInt(1) << BigInt(160)).toString(), deadline, 0),
+      'details.amount',
+      /uint160/
+    );
+    expectInvalid(() => permitHelpers.createPermitDetails(mockERC20.address, TRANSFER_AMOUNT, deadline, 2 ** 48), 'details.nonce', /uint48/);
+    
+    // Deadlines: milliseconds and the past
+    expectInvalid(() => permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, Date.now() + 3600000), 'deadline', /milliseconds/);
+    expectInvalid(() => permitHelpers.createPermitSingle(mockERC20.address, TRANSFER_AMOUNT, deadline, 0, secondAccount, deadline - 7200), 'permit.sigDeadline', /past/);
+    
+    // Hash helpers check the permit too, so a malformed permit is never signed
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const domainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    expectInvalid(
+      () => permitHelpers.getPermitTransferFromHash(tronWeb, { ...permit, nonce: '-5' }, domainSeparator),
+      'permit.nonce',
+      /non-negative integer/
+    );
+    
+    // Requesting more than permitted fails before anything is sent
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const signature = await new Permit2Client(tronWeb, permit2.address, { chainId }).signPermitTransferFrom(permit);
+    const tooMuch = permitHelpers.createTransferDetails(thirdAccount, (BigInt(TRANSFER_AMOUNT) + BigInt(1)).toString());
+    try {
+      await spenderClient.permitTransferFrom(permit, tooMuch, owner, signature);
+      assert.fail('Expected requested amount above the permitted amount to be rejected');
+    } catch (error) {
+      assert(error instanceof ValidationError, 'Over-requested transfer should fail validation');
+      assert.equal(error.field, 'transferDetails.requestedAmount', 'Error should name requestedAmount');
+    }
+    assert.equal(await spenderClient.nonces.isNonceUsed(owner, nonce), false, 'Nothing should have been sent');
+    
+    console.log('✅ Invalid permit inputs are rejected with descriptive errors!');
+  });
+
+  it('should accept every address format and hash it as the same uint160', async () => {
+    console.log('\n=== Testing Address Normalization ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const formats = address => [
+      address,
+      addressHelpers.toTronHex(address),
+      '0x' + addressHelpers.toTronHex(address),
+      addressHelpers.toEvmAddress(address)
+    ];
+    
+    // Every format converts back to the same base58 address and uint160 (deployed contract addresses are 41-hex)
+    const token = addressHelpers.toBase58(mockERC20.address);
+    for (const address of formats(token)) {
+      assert.equal(addressHelpers.toBase58(address), token, `${address} should convert to base58`);
+      assert.equal(addressHelpers.toUint160(address), addressHelpers.toUint160(mockERC20.address), `${address} should have the same uint160`);
+      assert(addressHelpers.isSameAddress(address, mockERC20.address), `${address} should be the same address`);
+    }
+    assert.deepEqual(
+      formats(token).map(addressHelpers.getAddressFormat),
+      ['base58', 'hex', '0x41', 'evm'],
+      'Formats should be told apart by prefix and length'
+    );
+    
+    // The domain separator and permit hash do not depend on the address format
+    const contractDomainSeparator = await permit2.DOMAIN_SEPARATOR().call();
+    for (const address of formats(permit2.address)) {
+      assert.equal(domainHelpers.computeDomainSeparator(chainId, address), contractDomainSeparator, `Domain separator should match for ${address}`);
+    }
+    const { nonce, deadline } = generatePermitParams();
+    const hashes = formats(token).map((address, i) => permitHelpers.getPermitTransferFromHash(
+      tronWeb,
+      permitHelpers.createPermit(address, TRANSFER_AMOUNT, formats(secondAccount)[i], nonce, deadline),
+      contractDomainSeparator
+    ).finalHash);
+    assert.equal(new Set(hashes).size, 1, 'Permit hash should be the same for every address format');
+    
+    // verify compares the recovered EVM address with the claimed signer in any format
+    const ownerClient = new Permit2Client(tronWeb, permit2.address, { chainId });
+    const permit = permitHelpers.createPermit(
+      addressHelpers.toEvmAddress(mockERC20.address), TRANSFER_AMOUNT, '0x' + addressHelpers.toTronHex(secondAccount), nonce, deadline
+    );
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    for (const address of formats(owner)) {
+      assert.equal(hashHelpers.verify(tronWeb, signature, hashes[0], address), true, `Signature should verify against ${address}`);
+    }
+    assert.throws(() => hashHelpers.verify(tronWeb, signature, hashes[0], addressHelpers.toEvmAddress(secondAccount)), /InvalidSigner/);
+    
+    // A permit built from EVM-style addresses is accepted on-chain
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const transferDetails = permitHelpers.createTransferDetails(addressHelpers.toEvmAddress(thirdAccount), TRANSFER_AMOUNT);
+    const balanceBefore = await mockERC20.balanceOf(thirdAccount).call();
+    await spenderClient.permitTransferFrom(permit, transferDetails, addressHelpers.toEvmAddress(owner), signature, { shouldPollResponse: true });
+    const balanceAfter = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(
+      (BigInt(balanceAfter.toString()) - BigInt(balanceBefore.toString())).toString(),
+      TRANSFER_AMOUNT,
+      'Recipient should receive the permitted amount'
+    );
+    
+    console.log('✅ Every address format hashes and verifies the same!');
+  });
+
+  it('should verify ERC-1271 smart wallet signatures and apply the contract v and s rules', async () => {
+    console.log('\n=== Testing Off-chain Signature Verification ===');
+    
+    // Deploy contracts and a smart wallet controlled by the owner key
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const MockERC1271Wallet = artifacts.require('MockERC1271Wallet');
+    const wallet = await testHelpers.deployContract(tronWeb, MockERC1271Wallet._json, owner);
+    await mockERC20.mint(wallet.address, TOKEN_AMOUNT).send();
+    await wallet.approve(mockERC20.address, permit2.address, TOKEN_AMOUNT).send({ shouldPollResponse: true });
+    
+    assert.equal(await signatureVerification.hasCode(tronWeb, wallet.address), true, 'Wallet should have code');
+    assert.equal(await signatureVerification.hasCode(tronWeb, owner), false, 'Owner account should have no code');
+    
+    // An unreachable node is an error, not an account without code
+    const offlineWeb = new TronWeb({ fullHost: 'http://127.0.0.1:1' });
+    try {
+      await signatureVerification.hasCode(offlineWeb, wallet.address);
+      assert.fail('hasCode should fail when the node is unreachable');
+    } catch (error) {
+      assert.notInclude(error.message, 'hasCode should fail', 'Node failure should be rethrown');
+    }
+    
+    // The owner key signs for the wallet; ECDSA alone would reject it, isValidSignature accepts it
+    const ownerClient = new Permit2Client(tronWeb, permit2.address, { chainId });
+    const spenderClient = new Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const hash = permitHelpers.getPermitTransferFromHash(tronWeb, permit, await permit2.DOMAIN_SEPARATOR().call()).finalHash;
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    
+    assert.throws(() => hashHelpers.verify(tronWeb, signature, hash, wallet.address), /InvalidSigner/);
+    assert.equal(
+      await signatureVerification.verify(tronWeb, signature, hash, wallet.address, { caller: permit2.address }),
+      true,
+      'Wallet should accept its owner signature'
+    );
+    const magic = await signatureVerification.isValidSignature(tronWeb, wallet.address, hash, signature, permit2.address);
+    assert.equal(magic.magicValue, signatureVerification.ERC1271_MAGIC_VALUE, 'Wallet should return the magic value');
+    
+    // A signature from another key is rejected off-chain and on-chain alike
+    const forged = await spenderClient.signPermitTransferFrom(permit);
+    try {
+      await signatureVerification.verify(tronWeb, forged, hash, wallet.address, { caller: permit2.address });
+      assert.fail('Expected InvalidContractSignature');
+    } catch (error) {
+      assert.include(error.message, 'InvalidContractSignature');
+    }
+    const transferDetails = permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT);
+    const forgedReport = await spenderClient.permitTransferFrom(permit, transferDetails, wallet.address, forged, { simulate: true });
+    assert(forgedReport.failures.includes('signature'), 'Signature check should fail for a forged wallet signature');
+    assert(forgedReport.revert instanceof errors.InvalidContractSignatureError, 'Constant call should decode InvalidContractSignature');
+    
+    // The valid wallet signature passes simulation and is accepted on-chain
+    const report = await spenderClient.permitTransferFrom(permit, transferDetails, wallet.address, signature, { simulate: true });
+    assert.equal(report.ok, true, 'Wallet permit should be a go');
+    await spenderClient.permitTransferFrom(permit, transferDetails, wallet.address, signature, { shouldPollResponse: true });
+    assert.equal(await spenderClient.nonces.isNonceUsed(wallet.address, nonce), true, 'Wallet nonce should be used');
+    
+    // EOA signatures: ecrecover accepts the high-s twin of a signature but not v outside 27/28
+    const eoaPermit = permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce + 1, deadline);
+    const eoaHash = permitHelpers.getPermitTransferFromHash(tronWeb, eoaPermit, await permit2.DOMAIN_SEPARATOR().call()).finalHash;
+    const eoaSignature = await ownerClient.signPermitTransferFrom(eoaPermit);
+    const n = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+    const v = parseInt(eoaSignature.slice(130, 132), 16);
+    const highS = '0x' + eoaSignature.slice(2, 66) +
+      (n - BigInt('0x' + eoaSignature.slice(66, 130))).toString(16).padStart(64, '0') +
+      (v === 27 ? '1c' : '1b');
+    const badV = eoaSignature.slice(0, 130) + '1d';
+    
+    assert.equal(hashHelpers.verify(tronWeb, highS, eoaHash, owner), true, 'High-s signature should verify like ecrecover');
+    assert.throws(() => hashHelpers.verify(tronWeb, badV, eoaHash, owner), /InvalidSignature/);
+    
+    const highSReport = await spenderClient.permitTransferFrom(eoaPermit, transferDetails, owner, highS, { simulate: true });
+    assert.equal(highSReport.ok, true, 'High-s signature should be accepted on-chain too');
+    const badVReport = await spenderClient.permitTransferFrom(eoaPermit, transferDetails, owner, badV, { simulate: true });
+    assert(badVReport.failures.includes('signature'), 'Signature check should fail for v = 29');
+    assert(badVReport.revert instanceof errors.InvalidSignatureError, 'Constant call should decode InvalidSignature');
+    
+    console.log('✅ Off-chain verification matches SignatureVerification.verify!');
+  });
+
+  it('should expose the helpers, ABI and network registry from the package entrypoint', async () => {
+    console.log('\n=== Testing Package Entrypoint ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    // The entrypoint shares the helper modules instead of copying them
+    assert.strictEqual(permit2Package.permitHelpers, permitHelpers, 'permitHelpers should be the helper module');
+    assert.strictEqual(permit2Package.hashHelpers, hashHelpers, 'hashHelpers should be the helper module');
+    assert.strictEqual(permit2Package.Permit2Client, Permit2Client, 'Permit2Client should be the client class');
+    
+    // The ESM build re-exports the same names and objects
+    const esm = await import('../index.mjs');
+    const esmNames = Object.keys(esm).filter(name => name !== 'default').sort();
+    assert.deepEqual(esmNames, Object.keys(permit2Package).sort(), 'ESM build should export the same names');
+    assert.strictEqual(esm.default, permit2Package, 'ESM default export should be the CommonJS module');
+    assert.strictEqual(esm.permitHelpers, permitHelpers, 'ESM permitHelpers should be the helper module');
+    
+    // The root entrypoint loads no Node built-ins, so it bundles for browsers; node.js adds the modules that do
+    const builtinsLoadedBy = entrypoint => JSON.parse(execFileSync(process.execPath, ['-e', `
+      const Module = require('module');
+      const load = Module._load;
+      const builtins = new Set();
+      Module._load = function (request, parent) {
+        if (Module.isBuiltin(request) && parent && !parent.filename.includes('node_modules')) builtins.add(request);
+        return load.apply(this, arguments);
+      };
+      require(${JSON.stringify(require.resolve(entrypoint))});
+      console.log(JSON.stringify([...builtins]));
+    `]).toString());
+    assert.deepEqual(builtinsLoadedBy('..'), [], 'Root entrypoint should not load Node built-ins');
+    assert.includeMembers(builtinsLoadedBy('../node'), ['fs', 'http'], 'Node entrypoint should load the Node-only modules');
+    assert.strictEqual(permit2Node.Permit2Client, Permit2Client, 'Node entrypoint should share the root modules');
+    assert.strictEqual(permit2Node.Permit2Relayer, Permit2Relayer, 'Node entrypoint should export the relayer');
+    assert.strictEqual(permit2Node.JsonFileStore, JsonFileStore, 'Node entrypoint should export JsonFileStore');
+    const esmNode = await import('../node.mjs');
+    assert.deepEqual(Object.keys(esmNode).filter(name => name !== 'default').sort(), Object.keys(permit2Node).sort(), 'Node ESM build should export the same names');
+    
+    // The ABI matches the compiled contract
+    const Permit2 = artifacts.require('Permit2');
+    const signatures = abi => abi.map(entry => `${entry.type} ${entry.name || ''}`).sort();
+    assert.deepEqual(signatures(permit2Package.PERMIT2_ABI), signatures(Permit2._json.abi), 'ABI should match the build artifact');
+    
+    // The registry knows every network and resolves the local node by its chain ID
+    assert.deepEqual(Object.keys(permit2Package.NETWORKS), ['mainnet', 'nile', 'shasta', 'local']);
+    assert.equal(permit2Package.getPermit2Address('mainnet'), 'TJhMXTHQHeQyMD7TcKQFqAePNgG4b31H9m');
+    assert.equal(permit2Package.getNetwork('development').name, 'local', 'development should alias local');
+    const nodeChainId = await domainHelpers.getChainId(testHelpers.ownerWeb());
+    assert.equal(permit2Package.getNetworkByChainId(nodeChainId).name, 'local', 'Node chain ID should resolve to local');
+    assert.equal(permit2Package.getNetworkByChainId(1), null, 'Unknown chain IDs should resolve to null');
+    assert.throws(() => permit2Package.getPermit2Address('local'), /no fixed address/);
+    assert.throws(() => permit2Package.getNetwork('ropsten'), /Unknown network: ropsten/);
+    
+    // A transfer built only from the entrypoint goes through on-chain
+    const local = permit2Package.getNetwork('local');
+    const ownerClient = new permit2Package.Permit2Client(testHelpers.ownerWeb(), permit2.address, { chainId: local.chainId });
+    const spenderClient = new permit2Package.Permit2Client(testHelpers.secondWeb(), permit2.address);
+    const { nonce, deadline } = generatePermitParams();
+    const permit = permit2Package.permitHelpers.createPermit(mockERC20.address, TRANSFER_AMOUNT, secondAccount, nonce, deadline);
+    const signature = await ownerClient.signPermitTransferFrom(permit);
+    
+    await spenderClient.permitTransferFrom(permit, permit2Package.permitHelpers.createTransferDetails(thirdAccount, TRANSFER_AMOUNT), owner, signature, { shouldPollResponse: true });
+    
+    const thirdBalance = await mockERC20.balanceOf(thirdAccount).call();
+    assert.equal(thirdBalance.toString(), TRANSFER_AMOUNT, 'Third account should receive the tokens');
+    
+    console.log('✅ Package entrypoint exposes the helpers, ABI and networks!');
+  });
+
+  it('should pick native, DAI-style or Permit2 permits like Permit2Lib and follow the transferFrom2 route', async () => {
+    console.log('\n=== Testing Permit2Lib Permit Selection ===');
+    
+    // Deploy contracts plus a DAI-style token and a token without permit
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const daiToken = await testHelpers.deployContract(tronWeb, artifacts.require('MockDAIPermitERC20')._json, 'Mock DAI', 'MDAI');
+    const plainToken = await testHelpers.deployContract(tronWeb, artifacts.require('MockNonPermitERC20')._json, 'Plain Token', 'PLAIN');
+    await plainToken.mint(owner, TOKEN_AMOUNT).send();
+    await plainToken.approve(permit2.address, TOKEN_AMOUNT).send({ shouldPollResponse: true });
+    
+    // Detection mirrors the DOMAIN_SEPARATOR / nonces probes and IDAIPermit
+    const detected = {
+      native: await permit2Lib.detectPermitSupport(tronWeb, mockERC20.address, owner),
+      dai: await permit2Lib.detectPermitSupport(tronWeb, daiToken.address, owner),
+      plain: await permit2Lib.detectPermitSupport(tronWeb, plainToken.address, owner)
+    };
+    console.log('Detected kinds:', detected.native.kind, detected.dai.kind, detected.plain.kind);
+    assert.equal(detected.native.kind, permit2Lib.PERMIT_KINDS.EIP2612, 'MockERC20 should support EIP-2612');
+    assert.equal(detected.native.domainSeparator, await mockERC20.DOMAIN_SEPARATOR().call(), 'Probe should read the token domain separator');
+    assert.equal(detected.dai.kind, permit2Lib.PERMIT_KINDS.DAI, 'DAI-style token should be detected');
+    assert.equal(detected.plain.kind, permit2Lib.PERMIT_KINDS.PERMIT2, 'Token without a domain separator should fall back to Permit2');
+    
+    // The owner signs whatever each token supports; the spender submits it
+    const { deadline } = generatePermitParams();
+    const spenderWeb = testHelpers.secondWeb();
+    const signed = {};
+    for (const [name, token] of [['native', mockERC20], ['dai', daiToken], ['plain', plainToken]]) {
+      signed[name] = await permit2Lib.buildAndSignPermit(tronWeb, ownerSigner, permit2.address, token.address, secondAccount, TRANSFER_AMOUNT, deadline);
+      assert.equal(signed[name].kind, detected[name].kind, `${name} should be signed as ${detected[name].kind}`);
+      await permit2Lib.sendPermit(spenderWeb, permit2.address, signed[name], { shouldPollResponse: true });
+    }
+    
+    assert.equal((await mockERC20.allowance(owner, secondAccount).call()).toString(), TRANSFER_AMOUNT, 'EIP-2612 permit should set the exact allowance');
+    assert.equal((await mockERC20.nonces(owner).call()).toString(), '1', 'EIP-2612 nonce should be used');
+    const maxUint256 = ((BigInt(1) << BigInt(256)) - BigInt(1)).toString();
+    assert.equal((await daiToken.allowance(owner, secondAccount).call()).toString(), maxUint256, 'DAI permit should set an unlimited allowance');
+    const permit2Allowance = await permit2.allowance(owner, plainToken.address, secondAccount).call();
+    assert.equal(permit2Allowance.amount.toString(), TRANSFER_AMOUNT, 'simplePermit2 should set the Permit2 allowance');
+    assert.equal(permit2Allowance.expiration.toString(), ((BigInt(1) << BigInt(48)) - BigInt(1)).toString(), 'simplePermit2 should not expire');
+    
+    // transferFrom2: the token's own allowance first, Permit2 otherwise
+    const nativeRoute = await permit2Lib.getTransferRoute(tronWeb, mockERC20.address, owner, secondAccount, TRANSFER_AMOUNT, thirdAccount);
+    const plainRoute = await permit2Lib.getTransferRoute(tronWeb, plainToken.address, owner, secondAccount, TRANSFER_AMOUNT, thirdAccount);
+    assert.equal(nativeRoute, permit2Lib.TRANSFER_ROUTES.TOKEN, 'Permitted token should transfer directly');
+    assert.equal(plainRoute, permit2Lib.TRANSFER_ROUTES.PERMIT2, 'Token without permit should go through Permit2');
+    
+    const nativeAsSpender = await testHelpers.getContractAt(spenderWeb, artifacts.require('MockERC20')._json, mockERC20.address);
+    await nativeAsSpender.transferFrom(owner, thirdAccount, TRANSFER_AMOUNT).send({ shouldPollResponse: true });
+    await new Permit2Client(spenderWeb, permit2.address).transferFrom(owner, thirdAccount, TRANSFER_AMOUNT, plainToken.address, { shouldPollResponse: true });
+    
+    assert.equal((await mockERC20.balanceOf(thirdAccount).call()).toString(), TRANSFER_AMOUNT, 'Direct transfer should arrive');
+    assert.equal((await plainToken.balanceOf(thirdAccount).call()).toString(), TRANSFER_AMOUNT, 'Permit2 transfer should arrive');
+    
+    // An allowance that covers the amount is not enough: transferFrom also fails on the owner's balance
+    await mockERC20.approve(secondAccount, maxUint256).send({ shouldPollResponse: true });
+    const ownerBalance = BigInt((await mockERC20.balanceOf(owner).call()).toString());
+    const overdrawnRoute = await permit2Lib.getTransferRoute(tronWeb, mockERC20.address, owner, secondAccount, (ownerBalance + BigInt(1)).toString(), thirdAccount);
+    assert.equal(overdrawnRoute, permit2Lib.TRANSFER_ROUTES.PERMIT2, 'Insufficient balance should fall back to Permit2');
+    
+    // A replayed native permit is rejected by the token
+    try {
+      await permit2Lib.sendPermit(spenderWeb, permit2.address, signed.native, { shouldPollResponse: true });
+      assert.fail('Replayed permit should revert');
+    } catch (error) {
+      assert.instanceOf(error, errors.RevertError, 'Replay should be decoded as a token revert');
+      assert.equal(error.args.reason, 'INVALID_SIGNER', 'Used nonce should invalidate the signature');
+      console.log('Replay rejected:', error.message);
+    }
+    
+    console.log('✅ Permit2Lib selection matches the token capabilities!');
+  });
+
+  it('should reuse or deploy Permit2 and record it in the per-network registry', async () => {
+    console.log('\n=== Testing Deployment Pipeline ===');
+    
+    // Deploy contracts
+    await deployContracts();
+    
+    const tronWeb = testHelpers.ownerWeb();
+    const permit2Json = artifacts.require('Permit2')._json;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permit2-deployments-'));
+    const settings = { feeLimit: 1000 * 1e6, userFeePercentage: 0 };
+    
+    // Mocks are only part of a development deployment
+    assert.deepEqual(deployScript.getDeploymentPlan('development'), ['Permit2', 'MockERC20'], 'Development should deploy the mocks');
+    assert.deepEqual(deployScript.getDeploymentPlan('mainnet'), ['Permit2'], 'Mainnet should only deploy Permit2');
+    
+    // Matching code at the expected address is reused without a transaction
+    const reused = await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { expected: permit2.address, dir });
+    assert.equal(reused.action, 'reused', 'Existing Permit2 should be reused');
+    assert.isTrue(addressHelpers.isSameAddress(reused.record.address, permit2.address), 'Reused record should point at the existing Permit2');
+    assert.isNull(reused.record.txId, 'Reused Permit2 without a record has no known transaction');
+    assert.notProperty(reused.record, 'compiler', 'Reused Permit2 without a record has no known compiler');
+    
+    // A different contract at the expected address needs --force
+    try {
+      await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { expected: mockERC20.address, dir });
+      assert.fail('Mismatched bytecode should not be reused');
+    } catch (error) {
+      assert.include(error.message, 'does not match the compiled Permit2', 'Mismatch should be reported');
+    }
+    
+    // Local has no fixed address, so an empty registry means a fresh deployment
+    const dryRun = await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { dir, dryRun: true });
+    assert.equal(dryRun.action, 'pending', 'Dry run should not deploy');
+    
+    const deployed = await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { dir, settings });
+    console.log('Deployed Permit2:', deployed.record.address, 'in block', deployed.record.block);
+    assert.equal(deployed.action, 'deployed', 'Permit2 should be deployed');
+    assert.isAbove(deployed.record.block, 0, 'Deployment block should be recorded');
+    assert.equal(deployed.record.bytecodeHash, deployScript.getBytecodeHash(tronWeb, permit2Json.bytecode), 'Bytecode hash should match the build');
+    const status = await deployScript.getCodeStatus(tronWeb, deployed.record.address, permit2Json.bytecode);
+    assert.isTrue(status.matches, 'Deployed code should match the build');
+    
+    // The library reads the record back
+    deployScript.recordDeployment('local', { Permit2: deployed.record }, dir);
+    assert.equal(deployments.getPermit2Address('development', dir), deployed.record.address, 'Registry should return the recorded address');
+    const deployment = deployments.getDeployment('local', dir);
+    assert.equal(deployment.chainId, chainId, 'Record should carry the chain ID');
+    assert.equal(deployment.contracts.Permit2.txId, deployed.record.txId, 'Record should carry the transaction ID');
+    assert.deepEqual(deployment.contracts.Permit2.compiler, deployScript.getCompilerSettings(permit2Json), 'Record should carry the compiler of the artifact');
+    assert.include(deployment.contracts.Permit2.compiler.version, '0.8.23', 'Compiler version should come from the artifact');
+    
+    // Running again finds the recorded deployment and keeps its record
+    const rerun = await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { dir, settings });
+    assert.equal(rerun.action, 'reused', 'Recorded Permit2 should be reused');
+    assert.equal(rerun.record.txId, deployed.record.txId, 'Rerun should keep the original record');
+
+    // Only a missing contract reads as "not deployed"; node failures and broken records stop the deployment
+    const empty = await deployScript.getCodeStatus(tronWeb, owner, permit2Json.bytecode);
+    assert.isFalse(empty.deployed, 'An account without code should not count as deployed');
+    try {
+      await deployScript.getCodeStatus(new TronWeb({ fullHost: 'http://127.0.0.1:1' }), permit2.address, permit2Json.bytecode);
+      assert.fail('getCodeStatus should fail when the node is unreachable');
+    } catch (error) {
+      assert.notInclude(error.message, 'getCodeStatus should fail', 'Node failure should be rethrown');
+    }
+    fs.writeFileSync(deployments.getDeploymentPath('local', dir), '{ not json');
+    try {
+      await deployScript.deployPermit2(tronWeb, 'local', permit2Json, { dir, dryRun: true });
+      assert.fail('A malformed deployment file should not be ignored');
+    } catch (error) {
+      assert.notInclude(error.message, 'should not be ignored', 'Malformed record should be reported');
+    }
+
+    fs.rmSync(dir, { recursive: true });
+    console.log('✅ Deployments are reused, recorded and read back from the registry!');
+  });
+
+});
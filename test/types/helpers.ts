@@ -0,0 +1,122 @@
+/**
+ * Compile-time checks for the helper type declarations (run with `pnpm test:types`).
+ *
+ * Nothing here is executed: tsc fails if a declaration no longer accepts the
+ * calls the helpers support, or starts accepting calls they reject. Lines
+ * marked @ts-expect-error must stay type errors.
+ */
+
+import { TronWeb } from 'tronweb';
+import * as hashHelpers from '../../helpers/hash-helpers';
+import * as permitHelpers from '../../helpers/permit-helpers';
+import type {
+  AllowanceTransferDetails,
+  Bytes32,
+  PermitBatch,
+  PermitBatchTransferFrom,
+  PermitDetails,
+  PermitHash,
+  PermitSingle,
+  PermitTransferFrom,
+  SignatureTransferDetails,
+  TokenPermissions,
+  TokenSpenderPair
+} from '../../helpers/permit-helpers';
+
+declare const tronWeb: TronWeb;
+declare const domainSeparator: Bytes32;
+
+const token = 'TXYZopYRdj2D9XRtbG411XZZ3kM5VkAeBf';
+const spender = 'TR6y9bCmyGBvb3ALZSwVJkw8YThbwmFX8N';
+const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+// ===== SignatureTransfer =====
+
+const permit: PermitTransferFrom = permitHelpers.createPermit(token, '1000', spender, 1, deadline);
+permitHelpers.createPermit(token, BigInt(1000), spender, '0x01', deadline, { allowExpired: true });
+
+const permitted: TokenPermissions[] = [
+  permitHelpers.createTokenPermissions(token, 1000),
+  permitHelpers.createTokenPermissions(token, '2000')
+];
+const batchPermit: PermitBatchTransferFrom = permitHelpers.createPermitBatchTransferFrom(permitted, spender, 2, deadline);
+
+const transferDetails: SignatureTransferDetails = permitHelpers.createTransferDetails(spender, '1000');
+const batchTransferDetails: SignatureTransferDetails[] = [transferDetails, transferDetails];
+
+const hash: PermitHash = permitHelpers.getPermitTransferFromHash(tronWeb, permit, domainSeparator);
+const finalHash: string = hash.finalHash;
+permitHelpers.getPermitBatchTransferFromHash(tronWeb, batchPermit, domainSeparator);
+
+const { witness, witnessTypeString } = permitHelpers.createTypedWitness(
+  tronWeb,
+  { ExtraData: [{ name: 'value', type: 'uint256' }] },
+  'ExtraData',
+  { value: 1 }
+);
+permitHelpers.getPermitWitnessTransferFromHash(tronWeb, permit, witness, witnessTypeString, spender, domainSeparator);
+permitHelpers.getPermitBatchWitnessTransferFromHash(tronWeb, batchPermit, witness, witnessTypeString, spender, domainSeparator);
+permitHelpers.createWitnessHash(tronWeb, 42);
+permitHelpers.createWitnessHash(tronWeb, { amount: '1', nonce: BigInt(2) });
+
+// ===== AllowanceTransfer =====
+
+const details: PermitDetails = permitHelpers.createPermitDetails(token, '1000', deadline, 0);
+const permitSingle: PermitSingle = permitHelpers.createPermitSingle(token, '1000', deadline, 0, spender, deadline);
+const permitBatch: PermitBatch = permitHelpers.createPermitBatch([details, details], spender, deadline, { allowExpired: true });
+const allowanceTransfer: AllowanceTransferDetails = permitHelpers.createAllowanceTransferDetails(spender, token, '1', token);
+const pair: TokenSpenderPair = permitHelpers.createTokenSpenderPair(token, spender);
+
+permitHelpers.getPermitSingleHash(tronWeb, permitSingle, domainSeparator);
+permitHelpers.getPermitBatchHash(tronWeb, permitBatch, domainSeparator);
+
+// ===== Contract call formatting =====
+
+const [[callToken, callAmount], callNonce, callDeadline] = permitHelpers.formatPermitForCall(permit);
+const callArgs: unknown[] = [callToken, callAmount, callNonce, callDeadline];
+permitHelpers.formatTransferDetailsForCall(transferDetails);
+permitHelpers.formatPermitBatchTransferFromForCall(batchPermit);
+permitHelpers.formatBatchTransferDetailsForCall(batchTransferDetails);
+permitHelpers.formatPermitSingleForCall(permitSingle);
+permitHelpers.formatPermitBatchForCall(permitBatch);
+permitHelpers.formatAllowanceTransferDetailsForCall([allowanceTransfer]);
+permitHelpers.formatTokenSpenderPairsForCall([pair]);
+const hexAddress: string = permitHelpers.toHex(token);
+
+// ===== Hash helpers =====
+
+const tokenPermissionsHash: Bytes32 = hashHelpers.hashTokenPermissions(tronWeb, token, '1000');
+const detailsHash: Bytes32 = hashHelpers.hashPermitDetails(tronWeb, details);
+hashHelpers.hashArray(tronWeb, [tokenPermissionsHash, detailsHash]);
+hashHelpers.hashWithWitness(tronWeb, permit, witness, witnessTypeString, spender);
+hashHelpers.hashBatchWithWitness(tronWeb, batchPermit, witness, witnessTypeString, spender);
+const typedDataHash: Bytes32 = hashHelpers.hashTypedData(tronWeb, domainSeparator, hash.structHash);
+const verified: true = hashHelpers.verify(tronWeb, '0x', typedDataHash, spender);
+
+// ===== Rejected calls =====
+
+// @ts-expect-error amounts are integers, not booleans
+permitHelpers.createPermit(token, true, spender, 1, deadline);
+
+// @ts-expect-error a batch permit takes an array of TokenPermissions
+permitHelpers.createPermitBatchTransferFrom(permitted[0], spender, 2, deadline);
+
+// @ts-expect-error PermitSingle has no permitted field
+permitHelpers.getPermitSingleHash(tronWeb, permit, domainSeparator);
+
+// @ts-expect-error PermitTransferFrom requires a deadline
+const missingDeadline: PermitTransferFrom = { permitted: permitted[0], spender, nonce: 1 };
+
+// @ts-expect-error PermitBatch details are an array
+const singleDetails: PermitBatch = { details, spender, sigDeadline: deadline };
+
+// @ts-expect-error toHex takes only the address
+permitHelpers.toHex(token, tronWeb);
+
+// @ts-expect-error the hash helpers need the TronWeb instance first
+hashHelpers.hashTypedData(domainSeparator, hash.structHash);
+
+// @ts-expect-error builder options are an object
+permitHelpers.createPermitSingle(token, '1000', deadline, 0, spender, deadline, true);
+
+export { finalHash, callArgs, hexAddress, verified, missingDeadline, singleDetails };